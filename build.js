@@ -2,7 +2,9 @@
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import zlib from 'zlib';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { parseQuiz } from './quiz-parser.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,6 +16,11 @@ const distDir = path.join(__dirname, 'dist');
 // Files to include in the distribution
 const filesToCopy = [
     'tj-quiz-element.js',
+    'quiz-parser.js',
+    'rich-text.js',
+    'locales.js',
+    'submission-adapters.js',
+    'scorm.js',
     'template.html',
     'styles.css',
     'config.js.example'  // We'll create this as a template
@@ -71,7 +78,8 @@ if (fs.existsSync(configPath)) {
     // Replace actual values with placeholders
     const exampleContent = configContent
         .replace(/submissionUrl:\s*['"][^'"]*['"]/, `submissionUrl: 'https://your-server.com/submit-quiz'`)
-        .replace(/apiKey:\s*['"][^'"]*['"]/, `apiKey: 'your-api-key-here'`);
+        .replace(/apiKey:\s*['"][^'"]*['"]/, `apiKey: 'your-api-key-here'`)
+        .replace(/auth:\s*['"][^'"]*['"]/, `auth: 'Basic your-lrs-credentials'`);
     
     fs.writeFileSync(configExamplePath, exampleContent);
     console.log('✅ Created config.js.example with placeholder values');
@@ -120,6 +128,11 @@ This folder contains the built files for TJ Quiz Element.
 ## Files Included:
 
 - \`tj-quiz-element.js\` - Main component file
+- \`quiz-parser.js\` - Quiz source parser (also usable from Node)
+- \`rich-text.js\` - Safe Markdown-subset renderer for quiz text
+- \`locales.js\` - Interface text in English and Thai
+- \`submission-adapters.js\` - Score transports (Apps Script, webhook, xAPI)
+- \`scorm.js\` - SCORM 1.2 / 2004 runtime for LMS packages
 - \`template.html\` - HTML template
 - \`styles.css\` - Component styles
 - \`config.js.example\` - Configuration template
@@ -161,3 +174,178 @@ console.log('Next steps:');
 console.log('1. Copy config.js.example to config.js in the dist folder');
 console.log('2. Update config.js with your submission URL');
 console.log('3. Deploy the dist folder to your web server');
+
+// config.js settings that make sense inside an LMS package. Learners can download the package's
+// files, so submission endpoints and credentials stay out of it.
+const scormConfigKeys = ['passingScore', 'scorm', 'imageHosts', 'locale', 'strings'];
+
+async function scormConfig() {
+    if (!fs.existsSync(configPath)) return 'export const config = {};\n';
+    const { config = {} } = await import(pathToFileURL(configPath).href);
+    const left = Object.keys(config).filter(key => !scormConfigKeys.includes(key) && config[key] !== undefined);
+    if (left.length > 0) {
+        console.log(`⚠️  Left ${left.join(', ')} out of the package's config.js, so no submission URL or credentials ship in the zip.`);
+        console.log('   Scores go to the LMS only. To also send them elsewhere, add the settings to config.js inside the zip yourself.');
+    }
+    const kept = Object.fromEntries(scormConfigKeys.filter(key => key in config).map(key => [key, config[key]]));
+    return `export const config = ${JSON.stringify(kept, null, 4)};\n`;
+}
+
+async function buildScormPackage(quizFile, scormVersion) {
+    const quizSource = quizFile
+        ? fs.readFileSync(quizFile, 'utf8')
+        : exampleHtml.match(/<tj-quiz-element>([\s\S]*?)<\/tj-quiz-element>/)[1];
+    const { title, sourceHash } = parseQuiz(quizSource);
+    const courseTitle = title || 'TJ Quiz';
+
+    const files = {};
+    fs.readdirSync(distDir)
+        .filter(file => !['README.md', 'example.html', 'package.json', 'config.js.example'].includes(file))
+        .forEach(file => { files[file] = fs.readFileSync(path.join(distDir, file)); });
+    // The element imports config.js. In an LMS the score goes through SCORM, so only the
+    // settings of scormConfigKeys are carried over from the teacher's config.js.
+    files['config.js'] = Buffer.from(await scormConfig());
+    files['index.html'] = Buffer.from(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeXml(courseTitle)}</title>
+</head>
+<body>
+    <tj-quiz-element>
+${escapeXml(quizSource.trim())}
+    </tj-quiz-element>
+    <script type="module" src="tj-quiz-element.js"></script>
+</body>
+</html>
+`);
+    files['imsmanifest.xml'] = Buffer.from(scormManifest(scormVersion, courseTitle, `tj-quiz-${sourceHash}`, Object.keys(files)));
+
+    const zipPath = path.join(distDir, 'tj-quiz-scorm.zip');
+    fs.writeFileSync(zipPath, createZip(files));
+    console.log(`📦 SCORM ${scormVersion} package "${courseTitle}" written to ${zipPath}`);
+}
+
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function scormManifest(scormVersion, title, identifier, fileNames) {
+    const is2004 = scormVersion === '2004';
+    const namespaces = is2004
+        ? `xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+          xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3"
+          xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+          xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 imscp_v1p1.xsd http://www.adlnet.org/xsd/adlcp_v1p3 adlcp_v1p3.xsd"`
+        : `xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+          xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+          xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+          xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd"`;
+    const fileList = fileNames.map(name => `            <file href="${escapeXml(name)}"/>`).join('\n');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${identifier}" version="1"
+          ${namespaces}>
+    <metadata>
+        <schema>ADL SCORM</schema>
+        <schemaversion>${is2004 ? '2004 4th Edition' : '1.2'}</schemaversion>
+    </metadata>
+    <organizations default="org">
+        <organization identifier="org">
+            <title>${escapeXml(title)}</title>
+            <item identifier="item" identifierref="quiz">
+                <title>${escapeXml(title)}</title>
+            </item>
+        </organization>
+    </organizations>
+    <resources>
+        <resource identifier="quiz" type="webcontent" adlcp:${is2004 ? 'scormType' : 'scormtype'}="sco" href="index.html">
+${fileList}
+        </resource>
+    </resources>
+</manifest>
+`;
+}
+
+// CRC-32 as zip needs it (zlib.crc32 is not in every supported Node version)
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// A plain zip archive (deflated entries, no folders) from { name: Buffer }
+function createZip(files) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    Object.entries(files).forEach(([name, data]) => {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);           // version needed
+        local.writeUInt16LE(0x0800, 6);       // UTF-8 names
+        local.writeUInt16LE(8, 8);            // deflate
+        local.writeUInt32LE(0, 10);           // time and date
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        local.writeUInt16LE(0, 28);
+        localParts.push(local, nameBuffer, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);         // made by
+        central.writeUInt16LE(20, 6);         // version needed
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(0, 12);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);    // the rest (extra, comment, disk, attributes) is zero
+        centralParts.push(central, nameBuffer);
+
+        offset += local.length + nameBuffer.length + compressed.length;
+    });
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+// SCORM package: `node build.js --scorm [quiz.txt] [--scorm-version=2004]` zips dist/, an
+// imsmanifest.xml and a launch page holding the quiz into dist/tj-quiz-scorm.zip for an LMS
+const scormIndex = process.argv.indexOf('--scorm');
+if (scormIndex !== -1) {
+    const versionArg = process.argv.find(arg => arg.startsWith('--scorm-version='));
+    const scormVersion = versionArg ? versionArg.split('=')[1] : '1.2';
+    if (!['1.2', '2004'].includes(scormVersion)) {
+        console.error(`❌ Unknown SCORM version "${scormVersion}" (use 1.2 or 2004)`);
+        process.exit(1);
+    }
+    const quizArg = process.argv[scormIndex + 1];
+    const quizFile = quizArg && !quizArg.startsWith('--') ? quizArg : null;
+    if (quizFile && !fs.existsSync(quizFile)) {
+        console.error(`❌ Quiz file not found: ${quizFile}`);
+        process.exit(1);
+    }
+    await buildScormPackage(quizFile, scormVersion);
+}
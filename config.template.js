@@ -1,5 +1,21 @@
 // Configuration file for TJ Quiz Element
 // Copy this file to config.js and update with your actual values
 export const config = {
-    submissionUrl: 'YOUR_GOOGLE_APPS_SCRIPT_URL_HERE'
+    submissionUrl: 'YOUR_GOOGLE_APPS_SCRIPT_URL_HERE',
+    // How the score is sent: 'apps-script', 'webhook', 'xapi' or a name registered by the host page
+    submissionAdapter: 'apps-script',
+    // Adapter settings, e.g. { headers: { 'X-Token': '...' } } for webhook or { auth: 'Basic ...' } for xapi
+    submissionOptions: {},
+    // 'items' adds section subtotals, per-item results, time spent, attempt and quiz version to the score
+    submissionDetail: 'summary',
+    // Percentage needed to pass, reported to an LMS over SCORM when the LMS sets no mastery score
+    passingScore: 60,
+    // Set to false to ignore the SCORM API of an LMS the quiz is launched from
+    scorm: true,
+    // Hosts that ![images](https://...) in quiz text may load from, e.g. ['images.example.com', '*.googleusercontent.com']
+    imageHosts: [],
+    // Interface language: 'en' or 'th' (the `locale` attribute overrides it)
+    locale: 'en',
+    // Reword individual interface strings, e.g. { 'quiz.checkScore': 'Submit' } (keys are in locales.js)
+    strings: {}
 };
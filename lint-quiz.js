@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+// Lint and preview quiz sources before publishing.
+//
+// Usage: node lint-quiz.js [--strict] <file-or-directory>...
+//   .txt files are read as a single quiz source.
+//   .html files are scanned for <tj-quiz-element> blocks (one quiz each).
+//   Directories are searched recursively for .txt and .html files.
+//   --strict  treat warnings as errors.
+//
+// Exits with status 1 when any quiz has errors (or warnings with --strict), when a path does
+// not exist, or when no quiz files are found.
+
+import fs from 'fs';
+import path from 'path';
+import { parseQuiz } from './quiz-parser.js';
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const targets = args.filter(arg => !arg.startsWith('--'));
+
+if (targets.length === 0) {
+    console.log('Usage: node lint-quiz.js [--strict] <file-or-directory>...');
+    process.exit(2);
+}
+
+// Paths given on the command line that do not exist; each counts as an error
+const missingTargets = [];
+
+// Collect .txt/.html files from the given paths
+function collectFiles(target, files = []) {
+    if (!fs.existsSync(target)) {
+        console.log(`❌ ${target} not found`);
+        missingTargets.push(target);
+        return files;
+    }
+    const stat = fs.statSync(target);
+    if (stat.isDirectory()) {
+        fs.readdirSync(target).sort().forEach(entry => {
+            if (entry === 'node_modules' || entry === 'dist' || entry.startsWith('.')) return;
+            collectFiles(path.join(target, entry), files);
+        });
+    } else if (/\.(txt|html?)$/i.test(target)) {
+        files.push(target);
+    }
+    return files;
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&');
+}
+
+// Extract quiz sources from a file. `lineOffset` maps quiz line 1 to the file line it sits on.
+function extractQuizzes(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (/\.txt$/i.test(file)) {
+        return [{ source: text, lineOffset: 0 }];
+    }
+
+    const quizzes = [];
+    const blockRegex = /<tj-quiz-element\b[^>]*>([\s\S]*?)<\/tj-quiz-element>/gi;
+    let match;
+    while ((match = blockRegex.exec(text)) !== null) {
+        const contentStart = match.index + match[0].indexOf('>') + 1;
+        const lineOffset = text.slice(0, contentStart).split('\n').length - 1;
+        // Strip any markup inside the block the same way textContent would
+        const source = decodeEntities(match[1].replace(/<[^>]+>/g, ''));
+        quizzes.push({ source, lineOffset });
+    }
+    return quizzes;
+}
+
+function plural(count, word, pluralWord = `${word}s`) {
+    return `${count} ${count === 1 ? word : pluralWord}`;
+}
+
+// 90 -> "1:30"
+function clock(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function describePool(node, lineOffset) {
+    const at = `line ${node.line + lineOffset}`;
+    if (node.timeLimit && node.type !== 'settings') {
+        const description = describePool({ ...node, timeLimit: 0 }, lineOffset);
+        return `${description || `${node.type} (${at})`}, ${clock(node.timeLimit)} time limit`;
+    }
+    if (node.type === 'questions') {
+        const pool = node.questions.length;
+        const drawn = node.maxQuestions ? Math.min(node.maxQuestions, pool) : pool;
+        const withAudio = node.questions.filter(q => q.audio).length;
+        return `questions (${at}): ${drawn} of ${plural(pool, 'question')} per attempt` +
+            (node.tiedToPassage ? ', tied to passage' : '') +
+            (withAudio ? `, ${withAudio} with audio` : '');
+    }
+    if (node.type === 'vocab') {
+        const pool = Object.keys(node.vocabulary).length;
+        const drawn = node.maxWords ? Math.min(node.maxWords, pool) : pool;
+        return `vocab (${at}): ${drawn} of ${plural(pool, 'word')} per attempt`;
+    }
+    if (node.type === 'cloze') {
+        const pool = node.words.length;
+        const drawn = node.maxBlanks ? Math.min(node.maxBlanks, pool) : pool;
+        const extras = node.distractors.length ? `, ${plural(node.distractors.length, 'distractor')}` : '';
+        return `cloze (${at}): ${drawn} of ${pool} starred words blanked, ${node.mode} mode${extras}`;
+    }
+    if (node.type === 'text' && node.audioSrc) {
+        return `${node.listening ? 'text-listening' : 'text'} (${at}): recording ${node.audioSrc}`;
+    }
+    if (node.type === 'text' && node.timestamps.some(t => t !== null)) {
+        const stamped = node.timestamps.filter(t => t !== null).length;
+        return `${node.listening ? 'text-listening' : 'text'} (${at}): ${stamped} of ${plural(node.timestamps.length, 'paragraph')} timed in the lesson recording`;
+    }
+    if (node.type === 'audio' && (node.cues.length || node.cuesSrc)) {
+        const parts = [];
+        if (node.cues.length) parts.push(plural(node.cues.length, 'cue'));
+        if (node.cuesSrc) parts.push(`cues from ${node.cuesSrc}`);
+        return `audio (${at}): ${parts.join(', ')}`;
+    }
+    if (node.type === 'order') {
+        return `order (${at}): ${plural(node.items.length, 'item')}, scored by ${node.scoring}`;
+    }
+    if (node.type === 'settings') {
+        const parts = [];
+        if (node.timeLimit) parts.push(`time limit ${clock(node.timeLimit)}`);
+        if (node.timeWarnings && node.timeWarnings.length) parts.push(`warnings at ${node.timeWarnings.map(clock).join(', ')} left`);
+        return parts.length ? `settings (${at}): ${parts.join(', ')}` : null;
+    }
+    if (node.type === 'student') {
+        if (!node.gate) return `student (${at}): no identity form, anyone can start`;
+        const fields = node.fields.map(field => (field.required ? field.key : `${field.key} (optional)`));
+        return `student (${at}): asks for ${fields.join(', ') || 'the default fields'}`;
+    }
+    return null;
+}
+
+function lintQuiz(file, index, total, { source, lineOffset }) {
+    const ast = parseQuiz(source);
+    const label = total > 1 ? `${file} (quiz ${index + 1})` : file;
+    console.log(`📄 ${label}: ${ast.title || '(untitled)'}`);
+    console.log(`   Version: ${ast.sourceHash}`);
+
+    const counts = {};
+    ast.sections.forEach(sec => {
+        counts[sec.type] = (counts[sec.type] || 0) + 1;
+    });
+    const countText = Object.entries(counts).map(([type, count]) => `${count} ${type}`).join(', ');
+    console.log(`   Sections: ${countText || 'none'}`);
+
+    ast.sections.forEach(sec => {
+        const description = describePool(sec, lineOffset);
+        if (description) console.log(`   • ${description}`);
+    });
+
+    if (ast.media.length > 0) {
+        const mediaWords = { image: 'image', audio: 'audio clip', video: 'video' };
+        const mediaText = Object.entries(mediaWords)
+            .map(([kind, word]) => [ast.media.filter(m => m.kind === kind).length, word])
+            .filter(([count]) => count > 0)
+            .map(([count, word]) => plural(count, word))
+            .join(', ');
+        console.log(`   Media: ${mediaText}`);
+    }
+
+    const tagged = ast.sections.filter(sec => sec.lang);
+    if (tagged.length > 0) {
+        const languages = [...new Set(tagged.map(sec => sec.lang))];
+        console.log(`   Languages: ${languages.map(lang => `${lang} (${plural(tagged.filter(sec => sec.lang === lang).length, 'section')})`).join(', ')}`);
+    }
+
+    const missingAnswers = ast.diagnostics.filter(d => d.code === 'question-no-correct').length;
+    if (missingAnswers > 0) {
+        console.log(`   Missing answers: ${plural(missingAnswers, 'question')} without [correct]`);
+    }
+
+    ast.diagnostics.forEach(d => {
+        const icon = d.severity === 'error' ? '❌' : '⚠️ ';
+        console.log(`   ${icon} ${file}:${d.line + lineOffset} ${d.message}`);
+    });
+
+    return {
+        errors: ast.diagnostics.filter(d => d.severity === 'error').length,
+        warnings: ast.diagnostics.filter(d => d.severity === 'warning').length
+    };
+}
+
+console.log('🔎 Linting TJ Quiz sources...');
+console.log('');
+
+const files = targets.reduce((all, target) => collectFiles(target, all), []);
+let quizCount = 0;
+let errorCount = missingTargets.length;
+let warningCount = 0;
+
+files.forEach(file => {
+    const quizzes = extractQuizzes(file);
+    quizzes.forEach((quiz, index) => {
+        const result = lintQuiz(file, index, quizzes.length, quiz);
+        quizCount++;
+        errorCount += result.errors;
+        warningCount += result.warnings;
+        console.log('');
+    });
+});
+
+console.log(`Checked ${plural(quizCount, 'quiz', 'quizzes')} in ${plural(files.length, 'file')}: ${plural(errorCount, 'error')}, ${plural(warningCount, 'warning')}.`);
+
+if (files.length === 0) {
+    console.log('🚫 No .txt or .html quiz files found.');
+    process.exit(1);
+}
+if (errorCount > 0 || (strict && warningCount > 0)) {
+    console.log('🚫 Quiz lint failed.');
+    process.exit(1);
+}
+console.log('🎉 All quizzes look good!');
@@ -0,0 +1,292 @@
+// UI strings for tj-quiz-element, one pack per locale.
+//
+// Packs are flat `key -> string` maps; `{name}` placeholders are filled in by
+// translate(). A missing key falls back to the English pack, so a pack (or a
+// host's override) only needs the strings it changes. Like quiz-parser.js this
+// module is DOM-free.
+
+export const DEFAULT_LOCALE = 'en';
+
+const en = {
+    // Header and student gate
+    'theme.toggle': 'Toggle Light/Dark Mode',
+    'quiz.defaultTitle': 'Interactive Reading',
+    'quiz.defaultDescription': 'Read the passage, then answer the questions below.',
+    'student.heading': 'Student Information',
+    'student.instructions': 'Please fill in your details before starting the quiz.',
+    'student.nickname': 'Nickname',
+    'student.homeroom': 'Homeroom',
+    'student.studentId': 'Student ID',
+    'student.optional': '(optional)',
+    'student.choose': 'Choose…',
+    'student.start': 'Start Quiz',
+    'student.fillAll': 'Please fill out all required fields before continuing.',
+    'student.checkField': 'Please check your {field}.',
+    'student.saved': 'Information saved! Scroll down to begin the quiz.',
+    'student.saveFirst': 'Please save your student information before taking the quiz.',
+
+    // Sections
+    'passage.heading': 'Reading Passage',
+    'instructions.heading': 'Instructions',
+    'wordBank': 'Word Bank',
+    'dragSlot.title': 'Place a word here',
+    'vocab.heading': 'Vocabulary',
+    'vocab.headingNumbered': 'Vocabulary Set {number}',
+    'vocab.word': 'Word',
+    'vocab.letterInput': 'Enter the letter for this definition',
+    'vocab.dropFor': 'Drop a word for: {definition}',
+    'vocab.correction': '(Correct: {answer})',
+    'cloze.heading': 'Fill in the Blanks',
+    'cloze.headingNumbered': 'Fill in the Blanks - Section {number}',
+    'cloze.fillIn': 'Fill in the blank',
+    'cloze.chooseWord': 'Choose a word',
+    'cloze.blank': 'Blank {number}',
+    'cloze.showHint': 'Show hint',
+    'cloze.almost': 'Almost! {answer}',
+    'order.heading': 'Put in Order',
+    'order.headingNumbered': 'Put in Order - Section {number}',
+    'order.instructions': 'Drag the items, or use the arrow buttons, to put them in the correct order.',
+    'order.moveUp': 'Move up',
+    'order.moveDown': 'Move down',
+    'order.correctOrder': 'Correct order: {items}',
+    'questions.heading': 'Comprehension Questions',
+    'questions.instructions': 'Read each question and select the best answer from the choices below.',
+    'questions.selectAll': 'Select all that apply.',
+    'questions.explanation': 'Explanation:',
+    'questions.typeNumber': 'Type a number',
+    'questions.typeAnswer': 'Type your answer',
+    'questions.correctAnswer': 'Correct answer: {answer}',
+    'questions.points': '{points} / 1 point',
+
+    // Audio and Text-to-Speech
+    'audio.lesson': 'Play Lesson Audio',
+    'audio.lessonTitle': 'Play Overall Audio',
+    'audio.passage': 'Play Passage Audio',
+    'audio.question': 'Play Question Audio',
+    'voice.choose': 'Choose Voice',
+    'voice.heading': 'Reading Voice',
+    'voice.close': 'Close',
+    'voice.speed': 'Speed',
+    'voice.pitch': 'Pitch',
+    'voice.best': 'Best',
+    'voice.none': 'No voice installed for this language.',
+    'tts.controls': 'Reading controls',
+    'tts.previous': 'Previous sentence',
+    'tts.repeat': 'Repeat sentence',
+    'tts.pause': 'Pause',
+    'tts.resume': 'Resume',
+    'tts.next': 'Next sentence',
+    'tts.settings': 'Speed, pitch and voice',
+    'tts.stop': 'Stop reading',
+
+    // Results and submission
+    'quiz.checkScore': 'Check My Score',
+    'result.title': 'Performance Report',
+    'result.name': 'NAME:',
+    'result.id': 'ID:',
+    'result.class': 'CLASS:',
+    'result.date': 'DATE:',
+    'result.accuracy': '{percent} Accuracy',
+    'result.vocab': 'Vocabulary',
+    'result.cloze': 'Fill-in-the-blank',
+    'result.order': 'Ordering',
+    'result.questions': 'Questions',
+    'result.noData': 'No score data available',
+    'result.tryAgain': 'Try Again',
+    'submit.resend': 'Resend Score to Teacher',
+    'submit.fillAll': 'Please fill out all required student information.',
+    'submit.noUrl': '⚠️ No submission URL configured.',
+    'submit.noUrlButton': 'No Submission URL',
+    'submit.sending': 'Sending...',
+    'submit.submitting': 'Submitting score to teacher...',
+    'submit.autoSubmitted': 'Score automatically submitted to your teacher',
+    'submit.success': 'Submission successful!',
+    'submit.sent': 'Score Sent',
+    'submit.failed': 'Could not submit score. Please try again.',
+    'submit.queued': 'You seem to be offline. Your score is saved on this device and will be sent automatically.',
+    'submit.sentLater': 'Your saved score has now been sent to your teacher.',
+    'submit.savedToLms': 'Your score has been saved to your course.',
+    'submit.sendAgain': 'Send Score Again',
+    'submit.trySendingAgain': 'Try Sending Again',
+    'outbox.waitingOne': '{count} score waiting to send',
+    'outbox.waitingOther': '{count} scores waiting to send',
+    'resume.heading': 'Resume your attempt?',
+    'resume.details': '{student} saved an unfinished attempt on {date}, with {answered} of {total} answered.',
+    'resume.someone': 'Someone',
+    'resume.resume': 'Resume',
+    'resume.startOver': 'Start over',
+    'resume.restored': 'Welcome back! Your answers have been restored.',
+
+    // Timed quizzes
+    'timer.label': 'Time left',
+    'timer.warning': 'Only {time} left!',
+    'timer.timeUp': 'Time is up! Your answers have been checked.',
+    'timer.sectionTimeUp': 'Time is up for this section.',
+
+    // Author mode
+    'diagnostics.title': 'Author Diagnostics: {errors} error(s), {warnings} warning(s)',
+    'diagnostics.none': 'No problems found in the quiz source.',
+    'diagnostics.line': 'Line {line}'
+};
+
+const th = {
+    'theme.toggle': 'สลับโหมดสว่าง/มืด',
+    'quiz.defaultTitle': 'การอ่านแบบโต้ตอบ',
+    'quiz.defaultDescription': 'อ่านบทความ แล้วตอบคำถามด้านล่าง',
+    'student.heading': 'ข้อมูลนักเรียน',
+    'student.instructions': 'กรุณากรอกข้อมูลของคุณก่อนเริ่มทำแบบทดสอบ',
+    'student.nickname': 'ชื่อเล่น',
+    'student.homeroom': 'ห้องเรียน',
+    'student.studentId': 'รหัสนักเรียน',
+    'student.optional': '(ไม่บังคับ)',
+    'student.choose': 'เลือก…',
+    'student.start': 'เริ่มทำแบบทดสอบ',
+    'student.fillAll': 'กรุณากรอกข้อมูลที่จำเป็นให้ครบก่อนดำเนินการต่อ',
+    'student.checkField': 'กรุณาตรวจสอบ{field}',
+    'student.saved': 'บันทึกข้อมูลแล้ว! เลื่อนลงเพื่อเริ่มทำแบบทดสอบ',
+    'student.saveFirst': 'กรุณาบันทึกข้อมูลนักเรียนก่อนทำแบบทดสอบ',
+
+    'passage.heading': 'บทอ่าน',
+    'instructions.heading': 'คำชี้แจง',
+    'wordBank': 'คลังคำ',
+    'dragSlot.title': 'วางคำที่นี่',
+    'vocab.heading': 'คำศัพท์',
+    'vocab.headingNumbered': 'คำศัพท์ ชุดที่ {number}',
+    'vocab.word': 'คำ',
+    'vocab.letterInput': 'พิมพ์ตัวอักษรของความหมายนี้',
+    'vocab.dropFor': 'วางคำสำหรับ: {definition}',
+    'vocab.correction': '(คำตอบที่ถูก: {answer})',
+    'cloze.heading': 'เติมคำในช่องว่าง',
+    'cloze.headingNumbered': 'เติมคำในช่องว่าง - ตอนที่ {number}',
+    'cloze.fillIn': 'เติมคำในช่องว่าง',
+    'cloze.chooseWord': 'เลือกคำ',
+    'cloze.blank': 'ช่องว่างที่ {number}',
+    'cloze.showHint': 'แสดงคำใบ้',
+    'cloze.almost': 'เกือบถูก! {answer}',
+    'order.heading': 'เรียงลำดับ',
+    'order.headingNumbered': 'เรียงลำดับ - ตอนที่ {number}',
+    'order.instructions': 'ลากรายการ หรือใช้ปุ่มลูกศร เพื่อเรียงให้ถูกลำดับ',
+    'order.moveUp': 'เลื่อนขึ้น',
+    'order.moveDown': 'เลื่อนลง',
+    'order.correctOrder': 'ลำดับที่ถูกต้อง: {items}',
+    'questions.heading': 'คำถามความเข้าใจ',
+    'questions.instructions': 'อ่านคำถามแต่ละข้อ แล้วเลือกคำตอบที่ดีที่สุดจากตัวเลือกด้านล่าง',
+    'questions.selectAll': 'เลือกทุกข้อที่ถูกต้อง',
+    'questions.explanation': 'คำอธิบาย:',
+    'questions.typeNumber': 'พิมพ์ตัวเลข',
+    'questions.typeAnswer': 'พิมพ์คำตอบของคุณ',
+    'questions.correctAnswer': 'คำตอบที่ถูก: {answer}',
+    'questions.points': '{points} / 1 คะแนน',
+
+    'audio.lesson': 'เล่นเสียงบทเรียน',
+    'audio.lessonTitle': 'เล่นเสียงทั้งหมด',
+    'audio.passage': 'เล่นเสียงบทอ่าน',
+    'audio.question': 'เล่นเสียงคำถาม',
+    'voice.choose': 'เลือกเสียง',
+    'voice.heading': 'เสียงอ่าน',
+    'voice.close': 'ปิด',
+    'voice.speed': 'ความเร็ว',
+    'voice.pitch': 'ระดับเสียง',
+    'voice.best': 'ดีที่สุด',
+    'voice.none': 'ไม่มีเสียงสำหรับภาษานี้ในเครื่อง',
+    'tts.controls': 'ตัวควบคุมการอ่าน',
+    'tts.previous': 'ประโยคก่อนหน้า',
+    'tts.repeat': 'อ่านประโยคซ้ำ',
+    'tts.pause': 'หยุดชั่วคราว',
+    'tts.resume': 'อ่านต่อ',
+    'tts.next': 'ประโยคถัดไป',
+    'tts.settings': 'ความเร็ว ระดับเสียง และเสียงอ่าน',
+    'tts.stop': 'หยุดอ่าน',
+
+    'quiz.checkScore': 'ตรวจคะแนน',
+    'result.title': 'รายงานผลการเรียน',
+    'result.name': 'ชื่อ:',
+    'result.id': 'รหัส:',
+    'result.class': 'ห้อง:',
+    'result.date': 'วันที่:',
+    'result.accuracy': 'ถูกต้อง {percent}',
+    'result.vocab': 'คำศัพท์',
+    'result.cloze': 'เติมคำ',
+    'result.order': 'เรียงลำดับ',
+    'result.questions': 'คำถาม',
+    'result.noData': 'ไม่มีข้อมูลคะแนน',
+    'result.tryAgain': 'ลองอีกครั้ง',
+    'submit.resend': 'ส่งคะแนนให้ครูอีกครั้ง',
+    'submit.fillAll': 'กรุณากรอกข้อมูลนักเรียนที่จำเป็นให้ครบ',
+    'submit.noUrl': '⚠️ ยังไม่ได้ตั้งค่าที่อยู่สำหรับส่งคะแนน',
+    'submit.noUrlButton': 'ไม่มีที่อยู่สำหรับส่ง',
+    'submit.sending': 'กำลังส่ง...',
+    'submit.submitting': 'กำลังส่งคะแนนให้ครู...',
+    'submit.autoSubmitted': 'ส่งคะแนนให้ครูโดยอัตโนมัติแล้ว',
+    'submit.success': 'ส่งสำเร็จ!',
+    'submit.sent': 'ส่งคะแนนแล้ว',
+    'submit.failed': 'ส่งคะแนนไม่สำเร็จ กรุณาลองอีกครั้ง',
+    'submit.queued': 'ดูเหมือนว่าคุณออฟไลน์อยู่ คะแนนของคุณถูกบันทึกไว้ในเครื่องนี้และจะส่งให้อัตโนมัติ',
+    'submit.sentLater': 'ส่งคะแนนที่บันทึกไว้ให้ครูแล้ว',
+    'submit.savedToLms': 'บันทึกคะแนนลงในรายวิชาของคุณแล้ว',
+    'submit.sendAgain': 'ส่งคะแนนอีกครั้ง',
+    'submit.trySendingAgain': 'ลองส่งอีกครั้ง',
+    'outbox.waitingOne': 'มี {count} คะแนนรอส่ง',
+    'outbox.waitingOther': 'มี {count} คะแนนรอส่ง',
+    'resume.heading': 'ทำแบบทดสอบต่อจากเดิมไหม?',
+    'resume.details': '{student} ทำแบบทดสอบค้างไว้เมื่อ {date} ตอบไปแล้ว {answered} จาก {total} ข้อ',
+    'resume.someone': 'นักเรียน',
+    'resume.resume': 'ทำต่อ',
+    'resume.startOver': 'เริ่มใหม่',
+    'resume.restored': 'ยินดีต้อนรับกลับ! คำตอบของคุณถูกกู้คืนแล้ว',
+
+    'timer.label': 'เวลาที่เหลือ',
+    'timer.warning': 'เหลือเวลาอีกเพียง {time}!',
+    'timer.timeUp': 'หมดเวลา! ระบบตรวจคำตอบของคุณแล้ว',
+    'timer.sectionTimeUp': 'หมดเวลาสำหรับส่วนนี้แล้ว',
+
+    'diagnostics.title': 'ตรวจสอบแบบทดสอบ: ข้อผิดพลาด {errors} รายการ, คำเตือน {warnings} รายการ',
+    'diagnostics.none': 'ไม่พบปัญหาในแบบทดสอบ',
+    'diagnostics.line': 'บรรทัด {line}'
+};
+
+const packs = { en, th };
+
+/**
+ * Add a locale pack, or merge strings into an existing one (e.g. to reword a few English strings).
+ * @param {string} locale              BCP 47 tag, e.g. 'es' or 'pt-BR'.
+ * @param {Object<string, string>} strings
+ */
+export function registerLocale(locale, strings) {
+    const code = String(locale).toLowerCase();
+    packs[code] = { ...(packs[code] || {}), ...strings };
+}
+
+/**
+ * The registered pack that best matches `locale`: the exact tag, then its base language, then English.
+ * @param {string} locale
+ * @returns {string}
+ */
+export function resolveLocale(locale) {
+    const code = String(locale || '').toLowerCase();
+    if (packs[code]) return code;
+    const base = code.split('-')[0];
+    return packs[base] ? base : DEFAULT_LOCALE;
+}
+
+/** @returns {string[]} Codes of every registered pack. */
+export function availableLocales() {
+    return Object.keys(packs);
+}
+
+/**
+ * Look up a UI string and fill in its `{name}` placeholders.
+ * @param {string} locale
+ * @param {string} key
+ * @param {Object} [params]
+ * @param {Object<string, string>} [overrides]  Per-element strings that win over the pack.
+ * @returns {string} The key itself when no pack has it.
+ */
+export function translate(locale, key, params = {}, overrides = {}) {
+    const pack = packs[resolveLocale(locale)];
+    let template = key;
+    if (overrides[key] !== undefined) template = overrides[key];
+    else if (pack[key] !== undefined) template = pack[key];
+    else if (en[key] !== undefined) template = en[key];
+    return String(template).replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
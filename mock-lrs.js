@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+// A throwaway xAPI Learning Record Store for trying the `xapi` submission adapter locally.
+//
+// Usage: node mock-lrs.js [port]      (default 8088)
+//   Point the quiz at it with submissionAdapter: 'xapi' and submissionUrl: 'http://localhost:8088/xapi'.
+//   POST /xapi/statements   stores a statement or an array of them, logging each one
+//   GET  /xapi/statements   lists what has been stored (?statementId=<id> fetches one)
+//
+// Statements are kept in memory only. Like a real LRS it accepts a statement sent again unchanged,
+// which is what a retried submission looks like, and answers 409 Conflict when a stored id
+// arrives with different content.
+
+import http from 'http';
+
+const port = parseInt(process.argv[2] || process.env.PORT || '8088', 10);
+const statements = [];
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Experience-API-Version',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'X-Experience-API-Version': '1.0.3'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+// The parts of a statement every LRS insists on
+function statementProblem(statement) {
+    if (!statement || typeof statement !== 'object') return 'not an object';
+    if (!statement.actor || !(statement.actor.mbox || statement.actor.account)) return 'actor needs an mbox or account';
+    if (!statement.verb || !statement.verb.id) return 'verb needs an id';
+    if (!statement.object || !statement.object.id) return 'object needs an id';
+    return null;
+}
+
+// A statement sent again matches the stored one apart from what the LRS added
+function sameContent(stored, statement) {
+    const kept = { ...stored };
+    delete kept.stored;
+    return JSON.stringify(kept) === JSON.stringify({ ...statement, id: stored.id });
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${port}`);
+    if (req.method === 'OPTIONS') return send(res, 204);
+    if (!url.pathname.endsWith('/statements')) return send(res, 404, { error: 'Only /statements is implemented' });
+    if (req.method === 'GET') {
+        const id = url.searchParams.get('statementId');
+        if (!id) return send(res, 200, { statements, more: '' });
+        const found = statements.find(stored => stored.id === id);
+        return found ? send(res, 200, found) : send(res, 404, { error: `No statement ${id}` });
+    }
+    if (req.method !== 'POST') return send(res, 405, { error: `${req.method} is not supported` });
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        let incoming;
+        try {
+            incoming = JSON.parse(raw);
+        } catch (error) {
+            return send(res, 400, { error: 'Body is not JSON' });
+        }
+        const batch = Array.isArray(incoming) ? incoming : [incoming];
+        for (const statement of batch) {
+            const problem = statementProblem(statement);
+            if (problem) {
+                console.log(`❌ Rejected statement: ${problem}`);
+                return send(res, 400, { error: problem });
+            }
+            const existing = statement.id && statements.find(stored => stored.id === statement.id);
+            if (existing && !sameContent(existing, statement)) {
+                console.log(`⚠️  Conflict: ${statement.id} is already stored with different content`);
+                return send(res, 409, { error: `Statement ${statement.id} already exists with different content` });
+            }
+        }
+
+        const ids = batch.map(statement => {
+            if (statement.id && statements.some(stored => stored.id === statement.id)) {
+                console.log(`🔁 Already stored ${statement.id}`);
+                return statement.id;
+            }
+            const stored = { ...statement, id: statement.id || crypto.randomUUID(), stored: new Date().toISOString() };
+            statements.push(stored);
+            const name = stored.object.definition && stored.object.definition.name
+                ? Object.values(stored.object.definition.name)[0]
+                : stored.object.id;
+            const score = stored.result && stored.result.score ? ` (${stored.result.score.raw}/${stored.result.score.max})` : '';
+            console.log(`📥 ${stored.actor.name || 'Someone'} ${stored.verb.id.split('/').pop()} "${name}"${score}`);
+            return stored.id;
+        });
+        send(res, 200, ids);
+    });
+});
+
+server.listen(port, () => {
+    console.log(`🧪 Mock LRS listening on http://localhost:${port}/xapi`);
+});
@@ -0,0 +1,1131 @@
+// Parser for the tj-quiz-element authoring format (the `---section` DSL).
+//
+// This module is DOM-free so it can be shared by the element in the browser and
+// by build tooling running in Node. It never shuffles or draws random subsets:
+// `-N` limits are recorded on the nodes and applied by whoever renders the quiz.
+
+import { MEDIA_PATTERN, mediaKind } from './rich-text.js';
+
+export const AST_VERSION = 1;
+
+// Header options (`---questions-5 scoring=partial`) each section type accepts,
+// with the allowed values (null accepts any value).
+// `lang=` (a BCP 47 tag such as th-TH) marks a section written in another language than the quiz.
+const SECTION_OPTIONS = {
+    questions: { scoring: ['all-or-nothing', 'partial'], lang: null, time: null },
+    order: { scoring: ['exact', 'position', 'pairs'], lang: null, time: null },
+    vocab: { mode: ['letter', 'drag'], lang: null, time: null },
+    cloze: { mode: ['type', 'select', 'drag'], match: ['exact', 'loose'], almost: null, lang: null, time: null },
+    instructions: { lang: null, time: null },
+    text: { audio: null, lang: null, time: null },
+    audio: {},
+    student: { gate: ['on', 'off'] },
+    settings: {}
+};
+
+// `key: value` lines a ---settings section understands
+const SETTINGS_KEYS = ['time-limit', 'time-warnings'];
+
+// Language tags: a 2-3 letter language, then optional script/region/variant subtags
+const LANG_TAG = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i;
+
+// Student field keys become keys of the submitted score, so they cannot reuse the score's own keys
+// (including those `submission-detail="items"` and timed quizzes add)
+const STUDENT_FIELD_KEY = /^[a-z][\w-]*$/i;
+const RESERVED_STUDENT_KEYS = ['submissionId', 'quizName', 'score', 'total', 'timestamp',
+    'sections', 'items', 'timeSpent', 'attempt', 'quizVersion', 'timeLimit', 'timedOut'];
+const STUDENT_FIELD_TYPES = ['text', 'email', 'number'];
+
+/**
+ * @typedef {Object} QuizAst
+ * @property {number} version            AST_VERSION the tree was produced with.
+ * @property {string} sourceHash         Short hash of the source (see hashSource), to tell versions of a quiz apart.
+ * @property {string} title              First non-empty line before the first section ('' when absent).
+ * @property {number|null} titleLine     Source line of the title.
+ * @property {SectionNode[]} sections    Every recognised section, in source order.
+ * @property {PassageEntry[]} passages   text, text-listening and instructions sections, indexed by sectionId.
+ * @property {QuestionsNode[]} questionGroups  The questions sections (same objects as in `sections`).
+ * @property {VocabNode[]} vocabularySections  The vocab sections (same objects as in `sections`).
+ * @property {ClozeNode[]} clozeSections       The cloze sections (same objects as in `sections`).
+ * @property {OrderNode[]} orderSections       The order sections (same objects as in `sections`).
+ * @property {string} audioSrc           Last `audio-src` declared in an ---audio section ('' when none).
+ * @property {AudioCue[]} audioCues      `[mm:ss]` cue lines from the ---audio section, in order.
+ * @property {string} audioCuesSrc       WebVTT file from a `cues = URL` line ('' when none).
+ * @property {StudentNode|null} student  Last ---student section, or null to ask for the default fields
+ *                                       (nickname, homeroom, studentId).
+ * @property {QuizSettings} settings     Values from ---settings sections (later lines win).
+ * @property {MediaRef[]} media          Every `![alt](url)` image or clip, in source order.
+ * @property {Diagnostic[]} diagnostics  Authoring problems found while parsing, ordered by line.
+ */
+
+/**
+ * @typedef {Object} MediaRef
+ * @property {'image'|'audio'|'video'} kind  Judged from the URL's file extension.
+ * @property {string} url
+ * @property {string} alt                    Required; media without it is not rendered.
+ * @property {number} line
+ */
+
+/**
+ * @typedef {Object} Diagnostic
+ * @property {'error'|'warning'} severity  Errors mean authored content was dropped; warnings mean it
+ *                                         was kept but probably not as intended.
+ * @property {number} line                 1-based source line the problem was found on.
+ * @property {string} code                 Stable identifier, e.g. 'unknown-section'.
+ * @property {string} message              Human-readable description.
+ */
+
+/**
+ * @typedef {TextNode|InstructionsNode|QuestionsNode|VocabNode|ClozeNode|OrderNode|AudioNode|StudentNode|SettingsNode} SectionNode
+ *
+ * Every node carries `type` and `line` (1-based line of its `---header` in the source).
+ * Headers may carry `key=value` options after the name, e.g. `---questions-5 scoring=partial`.
+ * Every node except audio, student and settings also carries `lang`: the `lang=` header option, or '' for the quiz's language,
+ * and `timeLimit`: seconds from the `time=` header option (e.g. `---text time=1:00`), or 0 for no limit.
+ */
+
+/**
+ * @typedef {Object} TextNode
+ * @property {'text'} type
+ * @property {number} line
+ * @property {number} sectionId    Index into `passages`.
+ * @property {string} text         Body with original line breaks preserved.
+ * @property {boolean} listening   true for ---text-listening (transcript hidden from students).
+ * @property {string} audioSrc     Recording from the `audio=URL` header option ('' = read aloud with TTS).
+ * @property {Array<number|null>} timestamps  Start time in seconds of each paragraph (paragraphs are separated
+ *                                 by blank lines) from a leading `[mm:ss]`, or null when not stamped. The
+ *                                 stamps are removed from `text`.
+ */
+
+/**
+ * @typedef {Object} InstructionsNode
+ * @property {'instructions'} type
+ * @property {number} line
+ * @property {number} sectionId    Index into `passages`.
+ * @property {string} heading      First non-empty body line (or "Instructions N").
+ * @property {string} body         Remaining lines.
+ */
+
+/**
+ * @typedef {Object} QuestionsNode
+ * @property {'questions'} type
+ * @property {number} line
+ * @property {number|null} sectionId      Passage the questions follow, or null for global questions.
+ * @property {Question[]} questions       Full question pool.
+ * @property {number|null} maxQuestions   `-N` limit drawn per attempt, or null for all.
+ * @property {boolean} tiedToPassage      Directly follows a text/instructions card (or a tied questions block).
+ * @property {'all-or-nothing'|'partial'} scoring  How multi-answer questions are graded (`scoring=` header option):
+ *           all-or-nothing needs exactly the correct set; partial gives 1/k per correct pick
+ *           (k = number of correct options), minus 1/k per wrong pick, never below 0.
+ */
+
+/**
+ * @typedef {Object} Question
+ * @property {'choice'|'multi'|'short'|'numeric'} type
+ *           'choice' / 'multi' come from `A:` options ('multi' when more than one is [correct]);
+ *           'short' from `S:` accepted answers; 'numeric' from an `N: value ±tolerance unit` line.
+ * @property {string} q        Prompt.
+ * @property {string[]} o      Options in authored order (empty for short/numeric).
+ * @property {string} a        First correct answer, for display ('' when none was given).
+ * @property {string[]} answers  Every correct option or accepted short answer, in authored order.
+ * @property {NumericAnswer} [numeric]  Expected number, numeric questions only.
+ * @property {string} e        Explanation ('' when none).
+ * @property {string} audio    Recording from an `Audio: URL` line ('' when none).
+ * @property {number} line     Source line of the `Q:` line.
+ */
+
+/**
+ * @typedef {Object} NumericAnswer
+ * @property {number} value      Expected value.
+ * @property {number} tolerance  Accepted distance from value (0 for exact).
+ * @property {string} unit       Optional unit shown next to the input and accepted in responses ('' when none).
+ */
+
+/**
+ * @typedef {Object} VocabNode
+ * @property {'vocab'} type
+ * @property {number} line
+ * @property {number} sectionId                 Index into `vocabularySections`.
+ * @property {Object<string, string>} vocabulary  word -> definition, full pool.
+ * @property {number|null} maxWords             `-N` limit, or null for all.
+ * @property {'letter'|'drag'} mode             `mode=` header option: type a letter per definition (default),
+ *                                              or drag/tap word chips onto the definitions.
+ */
+
+/**
+ * @typedef {Object} ClozeNode
+ * @property {'cloze'} type
+ * @property {number} line
+ * @property {number} sectionId          Index into `clozeSections`.
+ * @property {string} text               Body including the `*starred*` words (without the `distractors:` line).
+ * @property {ClozeBlank[]} blanks       Every starred word, in order.
+ * @property {string[]} words            First accepted answer of each blank (what the word bank shows).
+ * @property {string[]} distractors      Extra wrong words for the bank, from a `distractors: a, b` line.
+ * @property {number|null} maxBlanks     `-N` limit, or null for all.
+ * @property {'type'|'select'|'drag'} mode `mode=` header option: type each answer (default), pick it from
+ *                                       a dropdown of bank words, or drag/tap bank chips into the blanks.
+ * @property {'exact'|'loose'} match     `match=` header option: exact ignores only case and surrounding
+ *                                       spaces; loose also ignores accents and punctuation.
+ * @property {number} almost             `almost=` header option: responses within this many letter edits
+ *                                       of an answer are accepted and marked "almost" (0 = off).
+ */
+
+/**
+ * @typedef {Object} ClozeBlank
+ * @property {string} raw        Text between the asterisks, e.g. "colour|color{a shade}".
+ * @property {string[]} answers  Accepted answers (`|`-separated alternates).
+ * @property {string} hint       Text in a trailing `{...}` ('' when none).
+ */
+
+/**
+ * @typedef {Object} OrderNode
+ * @property {'order'} type
+ * @property {number} line
+ * @property {number} sectionId          Index into `orderSections`.
+ * @property {string[]} items            Items in the correct order (leading "1." numbering removed).
+ * @property {'exact'|'position'|'pairs'} scoring  `scoring=` header option: exact is 1 point for the whole
+ *           sequence; position is 1 point per item in its place; pairs is 1 point per correct adjacent pair.
+ */
+
+/**
+ * @typedef {Object} AudioNode
+ * @property {'audio'} type
+ * @property {number} line
+ * @property {string} audioSrc   Value of `audio-src = URL` ('' when missing).
+ * @property {AudioCue[]} cues    `[mm:ss] label` lines, in order.
+ * @property {string} cuesSrc     WebVTT file from a `cues = URL` line ('' when none).
+ */
+
+/**
+ * @typedef {Object} AudioCue
+ * @property {number} start       Seconds from the start of the recording.
+ * @property {number|null} end    Seconds, or null when the cue runs until the next one.
+ * @property {string} text        Label or cue text ('' when none).
+ */
+
+/**
+ * @typedef {Object} StudentNode
+ * @property {'student'} type
+ * @property {number} line
+ * @property {boolean} gate             false for `---student gate=off`: no identity form, anyone can start.
+ * @property {StudentField[]} fields    Fields students fill in before starting, in order.
+ */
+
+/**
+ * @typedef {Object} SettingsNode
+ * @property {'settings'} type
+ * @property {number} line
+ * @property {number} [timeLimit]       Given by a `time-limit: 10:00` line.
+ * @property {number[]} [timeWarnings]  Given by a `time-warnings: 2:00, 0:30` line.
+ */
+
+/**
+ * @typedef {Object} QuizSettings
+ * @property {number} timeLimit       Seconds the whole quiz may take from Start (0 for untimed).
+ * @property {number[]} timeWarnings  Seconds left at which to warn the student, longest first.
+ */
+
+/**
+ * @typedef {Object} StudentField
+ * @property {string} key           Name the value is submitted under, e.g. 'studentId'.
+ * @property {string} label         Text shown above the input.
+ * @property {boolean} required     false when the line has an `optional` flag.
+ * @property {string} pattern       Regular expression the whole value must match ('' for any value).
+ * @property {string[]} choices     Values to pick from a list (empty for a text input).
+ * @property {string} placeholder   Example shown in the empty input ('' when none).
+ * @property {'text'|'email'|'number'} type
+ * @property {number} line
+ */
+
+/**
+ * @typedef {Object} PassageEntry
+ * @property {number} sectionId
+ * @property {string} text
+ * @property {boolean} listening
+ * @property {string} [audioSrc]
+ * @property {boolean} [isInstruction]
+ */
+
+/**
+ * Parse quiz source into a QuizAst.
+ * @param {string} source  Text content of a <tj-quiz-element>.
+ * @returns {QuizAst}
+ */
+export function parseQuiz(source) {
+    const content = source || '';
+    const ast = {
+        version: AST_VERSION,
+        sourceHash: hashSource(content),
+        title: '',
+        titleLine: null,
+        sections: [],
+        passages: [],
+        questionGroups: [],
+        vocabularySections: [],
+        clozeSections: [],
+        orderSections: [],
+        audioSrc: '',
+        audioCues: [],
+        audioCuesSrc: '',
+        student: null,
+        settings: { timeLimit: 0, timeWarnings: [] },
+        media: [],
+        diagnostics: []
+    };
+    const diagnostics = ast.diagnostics;
+
+    content.split('\n').forEach((text, index) => {
+        for (const [, alt, url] of text.matchAll(MEDIA_PATTERN)) {
+            const kind = mediaKind(url);
+            ast.media.push({ kind, url, alt: alt.trim(), line: index + 1 });
+            if (!alt.trim()) {
+                report(diagnostics, 'error', index + 1, 'media-missing-alt',
+                    `The ${kind} "${url}" has no alt text and will not be shown. Write it as ![description](${url}).`);
+            }
+        }
+    });
+
+    const chunks = splitSections(content);
+
+    // First chunk holds the title (first non-empty line)
+    if (chunks.length >= 1) {
+        const titleLines = chunks[0].text.split('\n');
+        const index = titleLines.findIndex(l => l.trim().length > 0);
+        if (index !== -1) {
+            ast.title = titleLines[index].trim();
+            ast.titleLine = chunks[0].line + index;
+        }
+    }
+
+    // Associate questions with the most recent text/instructions section.
+    let lastSectionType = null;
+    let lastTextSectionId = null;
+    let instructionCount = 0;
+
+    for (let i = 1; i < chunks.length; i++) {
+        const { text: section, line } = chunks[i];
+        // Preserve original line breaks in the section body. We only trim the header line.
+        const rawLines = section.split('\n');
+        const header = parseSectionHeader(rawLines[0]);
+        const sectionHeader = header.name;
+        const sectionContent = rawLines.slice(1).join('\n');
+        const bodyLine = line + 1;
+
+        if (sectionHeader.startsWith('vocab')) {
+            const node = {
+                type: 'vocab',
+                line,
+                sectionId: ast.vocabularySections.length,
+                vocabulary: parseVocabulary(sectionContent, bodyLine, diagnostics),
+                maxWords: headerCount(sectionHeader, 'vocab'),
+                mode: 'letter',
+                lang: '',
+                timeLimit: 0
+            };
+            const options = sectionOptions(header, 'vocab', line, diagnostics);
+            node.mode = options.mode || 'letter';
+            node.lang = sectionLang(options, line, diagnostics);
+            node.timeLimit = sectionTimeLimit(options, line, diagnostics);
+            const wordCount = Object.keys(node.vocabulary).length;
+            if (wordCount === 0) {
+                report(diagnostics, 'error', line, 'empty-vocab', 'Vocabulary section has no "word: definition" pairs.');
+            } else if (node.maxWords && node.maxWords > wordCount) {
+                report(diagnostics, 'warning', line, 'limit-exceeds-pool',
+                    `---vocab-${node.maxWords} asks for ${node.maxWords} words but the section only has ${wordCount}.`);
+            }
+            ast.vocabularySections.push(node);
+            ast.sections.push(node);
+            lastSectionType = 'vocab';
+        } else if (sectionHeader.startsWith('cloze')) {
+            const { text, masked, distractors } = extractDistractors(sectionContent);
+            const node = {
+                type: 'cloze',
+                line,
+                sectionId: ast.clozeSections.length,
+                text,
+                blanks: parseCloze(masked, bodyLine, diagnostics),
+                words: [],
+                distractors,
+                maxBlanks: headerCount(sectionHeader, 'cloze'),
+                mode: 'type',
+                match: 'exact',
+                almost: 0,
+                lang: '',
+                timeLimit: 0
+            };
+            node.words = node.blanks.map(blank => blank.answers[0]);
+            const options = sectionOptions(header, 'cloze', line, diagnostics);
+            node.mode = options.mode || 'type';
+            node.match = options.match || 'exact';
+            node.lang = sectionLang(options, line, diagnostics);
+            node.timeLimit = sectionTimeLimit(options, line, diagnostics);
+            const answers = new Set(node.blanks.flatMap(blank => blank.answers.map(a => a.toLowerCase())));
+            node.distractors = distractors.filter(word => {
+                if (!answers.has(word.toLowerCase())) return true;
+                report(diagnostics, 'warning', line, 'distractor-is-answer',
+                    `Distractor "${word}" is also an answer in this section and was left out of the word bank.`);
+                return false;
+            });
+            if (options.almost !== undefined) {
+                if (/^\d+$/.test(options.almost)) {
+                    node.almost = parseInt(options.almost);
+                } else {
+                    report(diagnostics, 'warning', line, 'invalid-option', `"almost=${options.almost}" must be a whole number of letters.`);
+                }
+            }
+            if (node.words.length === 0) {
+                report(diagnostics, 'error', line, 'empty-cloze', 'Cloze section has no *starred* words to blank out.');
+            } else if (node.maxBlanks && node.maxBlanks > node.words.length) {
+                report(diagnostics, 'warning', line, 'limit-exceeds-pool',
+                    `---cloze-${node.maxBlanks} asks for ${node.maxBlanks} blanks but the section only stars ${node.words.length} words.`);
+            }
+            ast.clozeSections.push(node);
+            ast.sections.push(node);
+            lastSectionType = 'cloze';
+        } else if (sectionHeader === 'order') {
+            const options = sectionOptions(header, 'order', line, diagnostics);
+            const node = {
+                type: 'order',
+                line,
+                sectionId: ast.orderSections.length,
+                items: parseOrder(sectionContent, bodyLine, diagnostics),
+                scoring: options.scoring || 'position',
+                lang: sectionLang(options, line, diagnostics),
+                timeLimit: sectionTimeLimit(options, line, diagnostics)
+            };
+            if (node.items.length < 2) {
+                // Nothing to reorder: the section could never be answered, so it is left out
+                report(diagnostics, 'error', line, 'order-too-short', 'Order section needs at least two items to put in order; it was left out.');
+                lastSectionType = null;
+                continue;
+            }
+            ast.orderSections.push(node);
+            ast.sections.push(node);
+            lastSectionType = 'order';
+        } else if (sectionHeader.startsWith('instructions')) {
+            const sectionId = ast.passages.length;
+            const options = sectionOptions(header, 'instructions', line, diagnostics);
+            const lang = sectionLang(options, line, diagnostics);
+            const timeLimit = sectionTimeLimit(options, line, diagnostics);
+            instructionCount++;
+            const { heading, body } = extractHeadingAndBody(sectionContent, `Instructions ${instructionCount}`);
+            ast.passages.push({ text: body || heading, sectionId, listening: false, isInstruction: true, lang, timeLimit });
+            ast.sections.push({ type: 'instructions', line, sectionId, heading, body, lang, timeLimit });
+            lastTextSectionId = sectionId;
+            lastSectionType = 'instructions';
+        } else if (sectionHeader.startsWith('questions')) {
+            const previous = ast.sections[ast.sections.length - 1];
+            // Questions are "tied" to the passage (embedded inside its card) when they immediately
+            // follow a text/instruction section, or follow another questions section that was tied.
+            const tiedToPassage = lastSectionType === 'text' || lastSectionType === 'instructions' ||
+                (lastSectionType === 'questions' && !!previous && previous.tiedToPassage);
+            const options = sectionOptions(header, 'questions', line, diagnostics);
+            const node = {
+                type: 'questions',
+                line,
+                sectionId: lastTextSectionId,
+                questions: parseQuestions(sectionContent, bodyLine, diagnostics),
+                maxQuestions: headerCount(sectionHeader, 'questions'),
+                tiedToPassage: lastTextSectionId !== null && tiedToPassage,
+                scoring: options.scoring || 'all-or-nothing',
+                lang: sectionLang(options, line, diagnostics),
+                timeLimit: sectionTimeLimit(options, line, diagnostics)
+            };
+            if (node.questions.length === 0) {
+                report(diagnostics, 'error', line, 'empty-questions', 'Questions section has no "Q:" lines.');
+            } else if (node.maxQuestions && node.maxQuestions > node.questions.length) {
+                report(diagnostics, 'warning', line, 'limit-exceeds-pool',
+                    `---questions-${node.maxQuestions} asks for ${node.maxQuestions} questions but the section only has ${node.questions.length}.`);
+            }
+            ast.questionGroups.push(node);
+            ast.sections.push(node);
+            lastSectionType = 'questions';
+        } else if (sectionHeader === 'text' || sectionHeader === 'text-listening') {
+            const sectionId = ast.passages.length;
+            const listening = sectionHeader === 'text-listening';
+            const options = sectionOptions(header, 'text', line, diagnostics);
+            const audioSrc = options.audio || '';
+            const lang = sectionLang(options, line, diagnostics);
+            const timeLimit = sectionTimeLimit(options, line, diagnostics);
+            const { text, timestamps } = parseTimestampedParagraphs(sectionContent, bodyLine, diagnostics);
+            ast.passages.push({ text, sectionId, listening, audioSrc, timestamps, lang, timeLimit });
+            ast.sections.push({ type: 'text', line, sectionId, text, listening, audioSrc, timestamps, lang, timeLimit });
+            lastTextSectionId = sectionId;
+            lastSectionType = 'text';
+        } else if (sectionHeader === 'audio') {
+            const audioSrc = parseAudio(sectionContent);
+            const { cues, cuesSrc } = parseAudioCues(sectionContent, bodyLine, diagnostics);
+            sectionOptions(header, 'audio', line, diagnostics);
+            if (audioSrc) {
+                ast.audioSrc = audioSrc;
+            } else {
+                report(diagnostics, 'warning', line, 'missing-audio-src', 'Audio section has no "audio-src = URL" line.');
+            }
+            if (cues.length > 0) ast.audioCues = cues;
+            if (cuesSrc) ast.audioCuesSrc = cuesSrc;
+            ast.sections.push({ type: 'audio', line, audioSrc: ast.audioSrc, cues, cuesSrc });
+            lastSectionType = 'audio';
+        } else if (sectionHeader === 'student') {
+            const options = sectionOptions(header, 'student', line, diagnostics);
+            const node = {
+                type: 'student',
+                line,
+                gate: options.gate !== 'off',
+                fields: parseStudentFields(sectionContent, bodyLine, diagnostics)
+            };
+            if (!node.gate && node.fields.length > 0) {
+                report(diagnostics, 'warning', line, 'student-fields-ignored',
+                    'This ---student section has gate=off, so its fields are never asked for.');
+            } else if (node.gate && node.fields.length === 0) {
+                report(diagnostics, 'warning', line, 'empty-student',
+                    'Student section has no "key: Label" fields; the default nickname, homeroom and student ID are asked for.');
+            }
+            if (ast.student) {
+                report(diagnostics, 'warning', line, 'duplicate-student',
+                    `A ---student section was already given on line ${ast.student.line}; this one replaces it.`);
+            }
+            ast.student = node;
+            ast.sections.push(node);
+            lastSectionType = 'student';
+        } else if (sectionHeader === 'settings') {
+            sectionOptions(header, 'settings', line, diagnostics);
+            const settings = parseSettings(sectionContent, bodyLine, diagnostics);
+            Object.assign(ast.settings, settings);
+            ast.sections.push({ type: 'settings', line, ...settings });
+            lastSectionType = 'settings';
+        } else {
+            const original = (rawLines[0] || '').trim();
+            report(diagnostics, 'error', line, 'unknown-section',
+                original ? `Unknown section "---${original}" was ignored.` : 'Section with an empty "---" header was ignored.');
+            lastSectionType = null;
+        }
+    }
+
+    // Timestamps only mean something against the lesson recording
+    if (!ast.audioSrc) {
+        ast.sections.filter(sec => sec.type === 'text' && !sec.audioSrc && sec.timestamps.some(t => t !== null))
+            .forEach(sec => {
+                report(diagnostics, 'warning', sec.line, 'timestamps-without-audio',
+                    'This passage has [mm:ss] timestamps but the quiz has no ---audio section with an audio-src.');
+            });
+    }
+
+    diagnostics.sort((a, b) => a.line - b.line);
+    return ast;
+}
+
+/**
+ * Short fingerprint of quiz source: 8 hex digits of FNV-1a over the text. Line endings and
+ * surrounding whitespace are ignored, so the same quiz pasted on another page hashes the same.
+ * @param {string} source
+ * @returns {string}
+ */
+export function hashSource(source) {
+    const text = (source || '').replace(/\r\n?/g, '\n').trim();
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Parse a vocab section body into a word -> definition map.
+ * Prefers one `word: definition` pair per line and falls back to
+ * comma-separated pairs on a single line.
+ * @param {string} vocabSection
+ * @param {number} [startLine=1]       Source line of the first body line.
+ * @param {Diagnostic[]} [diagnostics] Receives warnings for pairs that were skipped.
+ * @returns {Object<string, string>}
+ */
+export function parseVocabulary(vocabSection, startLine = 1, diagnostics = null) {
+    if (!vocabSection) return {};
+
+    const lines = vocabSection.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+
+    // Candidate raw pairs: prefer line-splitting, otherwise treat the whole
+    // block as a single candidate (legacy single-line comma-separated).
+    const candidatePairs = lines.length > 0 ? lines.slice() : [vocabSection.trim()];
+
+    const parsePairsToMap = (pairs) => {
+        const m = {};
+        pairs.forEach(pair => {
+            const idx = pair.indexOf(':');
+            if (idx === -1) return;
+            const word = pair.slice(0, idx).trim();
+            const definition = pair.slice(idx + 1).trim().replace(/,$/, '');
+            if (word && definition) m[word] = definition;
+        });
+        return m;
+    };
+
+    let allVocab = parsePairsToMap(candidatePairs);
+
+    // If we only found one (or zero) vocab entry from line-splitting AND the
+    // original block contains commas, assume the author used comma-separated
+    // pairs on a single line and reparse using comma-splitting.
+    if (Object.keys(allVocab).length <= 1 && vocabSection.indexOf(',') !== -1) {
+        const commaPairs = vocabSection.split(',').map(p => p.trim()).filter(Boolean);
+        allVocab = parsePairsToMap(commaPairs);
+        commaPairs.filter(pair => pair.indexOf(':') === -1).forEach(pair => {
+            report(diagnostics, 'warning', startLine, 'vocab-missing-colon', `Vocabulary entry "${pair}" has no colon and was skipped.`);
+        });
+    } else {
+        vocabSection.split('\n').forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (line && line.indexOf(':') === -1) {
+                report(diagnostics, 'warning', startLine + index, 'vocab-missing-colon', `Vocabulary line "${line}" has no colon and was skipped.`);
+            }
+        });
+    }
+
+    return allVocab;
+}
+
+const DISTRACTORS_LINE = /^\s*distractors\s*:(.*)$/i;
+
+// Pull `distractors: a, b` lines out of a cloze body. `masked` keeps the body's line count
+// (distractor lines emptied) so blanks can still be given their source line.
+function extractDistractors(content) {
+    const distractors = [];
+    const lines = content.split('\n');
+    const masked = lines.map(line => {
+        const match = line.match(DISTRACTORS_LINE);
+        if (!match) return line;
+        match[1].split(',').map(word => word.trim()).filter(Boolean).forEach(word => {
+            if (!distractors.some(d => d.toLowerCase() === word.toLowerCase())) distractors.push(word);
+        });
+        return null;
+    });
+    return {
+        text: masked.filter(line => line !== null).join('\n'),
+        masked: masked.map(line => line === null ? '' : line).join('\n'),
+        distractors
+    };
+}
+
+/**
+ * Extract the `*starred*` blanks of a cloze section body. A blank may list
+ * alternates (`*colour|color*`) and end with a hint (`*magma{hot liquid rock}*`).
+ * @param {string} clozeSection
+ * @param {number} [startLine=1]       Source line of the first body line.
+ * @param {Diagnostic[]} [diagnostics] Receives warnings for malformed blanks.
+ * @returns {ClozeBlank[]}
+ */
+export function parseCloze(clozeSection, startLine = 1, diagnostics = null) {
+    if (!clozeSection) return [];
+    const blanks = [];
+    // `**bold**` is rich text, not a blank
+    const regex = /(?<!\*)\*([^*]+)\*(?!\*)/g;
+    let match;
+    while ((match = regex.exec(clozeSection)) !== null) {
+        const raw = match[1];
+        const line = startLine + countNewlines(clozeSection.slice(0, match.index));
+        const hintMatch = raw.match(/\{([^}]*)\}\s*$/);
+        const hint = hintMatch ? hintMatch[1].trim() : '';
+        const answerText = hintMatch ? raw.slice(0, hintMatch.index) : raw;
+        const parts = answerText.split('|').map(a => a.trim());
+        const answers = parts.filter(Boolean);
+        if (answers.length === 0) {
+            report(diagnostics, 'warning', line, 'empty-blank', `Blank "*${raw}*" has no answer and was left as text.`);
+            continue;
+        }
+        if (answers.length !== parts.length) {
+            report(diagnostics, 'warning', line, 'empty-alternate', `Blank "*${raw}*" has an empty alternate.`);
+        }
+        blanks.push({ raw, answers, hint });
+    }
+    return blanks;
+}
+
+/**
+ * Parse a questions section body (`Q:` / `A:` / `S:` / `N:` / `E:` lines).
+ * @param {string} questionsSection
+ * @param {number} [startLine=1]       Source line of the first body line.
+ * @param {Diagnostic[]} [diagnostics] Receives problems with individual questions.
+ * @returns {Question[]}
+ */
+export function parseQuestions(questionsSection, startLine = 1, diagnostics = null) {
+    if (!questionsSection) return [];
+
+    const lines = questionsSection.split('\n');
+    let currentQuestion = null;
+    const questions = [];
+
+    // Typed answers collected for the current question (S: lines)
+    let accepted = [];
+
+    const finishQuestion = () => {
+        if (!currentQuestion) return;
+        const typed = accepted.length > 0 || !!currentQuestion.numeric;
+        if (typed && currentQuestion.o.length > 0) {
+            report(diagnostics, 'warning', currentQuestion.line, 'mixed-answer-types',
+                `Question "${currentQuestion.q}" mixes A: options with S:/N: answers; the A: options were ignored.`);
+            currentQuestion.o = [];
+        }
+
+        if (currentQuestion.numeric) {
+            const { value, tolerance, unit } = currentQuestion.numeric;
+            if (accepted.length > 0) {
+                report(diagnostics, 'warning', currentQuestion.line, 'mixed-answer-types',
+                    `Question "${currentQuestion.q}" has both S: and N: answers; the S: answers were ignored.`);
+            }
+            currentQuestion.type = 'numeric';
+            currentQuestion.a = `${value}${tolerance ? ` ± ${tolerance}` : ''}${unit ? ` ${unit}` : ''}`;
+            currentQuestion.answers = [currentQuestion.a];
+        } else if (accepted.length > 0) {
+            currentQuestion.type = 'short';
+            currentQuestion.answers = accepted;
+            currentQuestion.a = accepted[0];
+        } else {
+            if (currentQuestion.o.length === 0) {
+                report(diagnostics, 'error', currentQuestion.line, 'question-no-options', `Question "${currentQuestion.q}" has no "A:" options or S:/N: answers.`);
+            } else if (currentQuestion.answers.length === 0) {
+                report(diagnostics, 'error', currentQuestion.line, 'question-no-correct', `Question "${currentQuestion.q}" has no answer marked [correct].`);
+            }
+            currentQuestion.a = currentQuestion.answers[0] || '';
+            currentQuestion.type = currentQuestion.answers.length > 1 ? 'multi' : 'choice';
+        }
+        questions.push(currentQuestion);
+        accepted = [];
+    };
+
+    lines.forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (line.length === 0) return;
+        const lineNumber = startLine + index;
+
+        if (line.startsWith('Q:') || line.startsWith('Q.')) {
+            finishQuestion();
+            currentQuestion = {
+                type: 'choice',
+                q: line.substring(2).trim(),
+                o: [],
+                a: '',
+                answers: [],
+                e: '', // explanation
+                audio: '',
+                line: lineNumber
+            };
+        } else if (/^audio:/i.test(line) && currentQuestion) {
+            currentQuestion.audio = line.substring(6).trim();
+        } else if (line.startsWith('A:') && currentQuestion) {
+            const answerText = line.substring(2).trim();
+            const isCorrect = answerText.includes('[correct]');
+            const cleanAnswer = answerText.replace('[correct]', '').trim();
+
+            if (currentQuestion.o.includes(cleanAnswer)) {
+                report(diagnostics, 'warning', lineNumber, 'duplicate-option', `Question "${currentQuestion.q}" lists "${cleanAnswer}" twice.`);
+            }
+            currentQuestion.o.push(cleanAnswer);
+            if (isCorrect && !currentQuestion.answers.includes(cleanAnswer)) {
+                currentQuestion.answers.push(cleanAnswer);
+            }
+        } else if (line.startsWith('S:') && currentQuestion) {
+            // Short answer: each S: line is one accepted response
+            const answerText = line.substring(2).trim();
+            if (answerText) accepted.push(answerText);
+        } else if (line.startsWith('N:') && currentQuestion) {
+            const numeric = parseNumericAnswer(line.substring(2));
+            if (!numeric) {
+                report(diagnostics, 'error', lineNumber, 'invalid-numeric',
+                    `"${line}" is not a number answer; write it like "N: 9.8 ±0.1 m/s".`);
+            } else {
+                if (currentQuestion.numeric) {
+                    report(diagnostics, 'warning', lineNumber, 'duplicate-numeric', `Question "${currentQuestion.q}" has more than one N: line; only the last one counts.`);
+                }
+                currentQuestion.numeric = numeric;
+            }
+        } else if (line.startsWith('E:') && currentQuestion) {
+            currentQuestion.e = line.substring(2).trim();
+        } else if (!currentQuestion && (/^[AESN]:/.test(line) || /^audio:/i.test(line))) {
+            report(diagnostics, 'warning', lineNumber, 'orphan-line', `"${line}" appears before any "Q:" line and was ignored.`);
+        } else {
+            report(diagnostics, 'warning', lineNumber, 'unrecognised-line', `Line "${line}" is not a Q:, A:, S:, N:, E: or Audio: line and was ignored.`);
+        }
+    });
+
+    finishQuestion();
+    return questions;
+}
+
+/**
+ * Parse an order section body: one item per line, in the correct order.
+ * Leading numbering such as "1." or "2)" is removed so it cannot give the answer away.
+ * @param {string} orderSection
+ * @param {number} [startLine=1]       Source line of the first body line.
+ * @param {Diagnostic[]} [diagnostics] Receives warnings for duplicate items.
+ * @returns {string[]}
+ */
+export function parseOrder(orderSection, startLine = 1, diagnostics = null) {
+    if (!orderSection) return [];
+    const items = [];
+    orderSection.split('\n').forEach((rawLine, index) => {
+        const item = rawLine.trim().replace(/^\d+[.)]\s+/, '');
+        if (!item) return;
+        if (items.includes(item)) {
+            report(diagnostics, 'warning', startLine + index, 'duplicate-order-item', `Order item "${item}" appears more than once.`);
+        }
+        items.push(item);
+    });
+    return items;
+}
+
+/**
+ * Parse a student section body: one `key: Label | flag | flag...` line per field. Flags are
+ * `optional`, `pattern=REGEX`, `choices=a, b, c`, `placeholder=TEXT` and `type=text|email|number`.
+ * Flags are separated by ` | ` with spaces, so a pattern may still use `|` for alternatives.
+ * @param {string} studentSection
+ * @param {number} [startLine=1]       Source line of the first body line.
+ * @param {Diagnostic[]} [diagnostics] Receives warnings for fields and flags that were skipped.
+ * @returns {StudentField[]}
+ */
+export function parseStudentFields(studentSection, startLine = 1, diagnostics = null) {
+    const fields = [];
+    (studentSection || '').split('\n').forEach((rawLine, index) => {
+        const line = startLine + index;
+        const text = rawLine.trim();
+        if (!text) return;
+        const colon = text.indexOf(':');
+        const key = colon > 0 ? text.slice(0, colon).trim() : '';
+        if (!STUDENT_FIELD_KEY.test(key)) {
+            report(diagnostics, 'warning', line, 'invalid-student-field',
+                `"${text}" was skipped; write a field as "key: Label", e.g. "studentId: Student ID".`);
+            return;
+        }
+        if (RESERVED_STUDENT_KEYS.includes(key)) {
+            report(diagnostics, 'warning', line, 'invalid-student-field',
+                `"${key}" is used by the submitted score itself and cannot be a student field.`);
+            return;
+        }
+        if (fields.some(field => field.key === key)) {
+            report(diagnostics, 'warning', line, 'duplicate-student-field', `Student field "${key}" appears more than once.`);
+            return;
+        }
+
+        const [label, ...flags] = text.slice(colon + 1).split(/\s+\|\s+/).map(part => part.trim());
+        const field = { key, label: label || key, required: true, pattern: '', choices: [], placeholder: '', type: 'text', line };
+        flags.forEach(flag => {
+            const [, name, value = ''] = flag.match(/^(\w+)\s*(?:=\s*(.*))?$/) || [];
+            if (name === 'optional' && !value) {
+                field.required = false;
+            } else if (name === 'pattern' && value) {
+                try {
+                    new RegExp(value, 'u');
+                    field.pattern = value;
+                } catch (error) {
+                    report(diagnostics, 'warning', line, 'invalid-pattern', `"pattern=${value}" is not a valid regular expression and was ignored.`);
+                }
+            } else if (name === 'choices' && value) {
+                field.choices = value.split(',').map(choice => choice.trim()).filter(Boolean);
+            } else if (name === 'placeholder') {
+                field.placeholder = value;
+            } else if (name === 'type' && STUDENT_FIELD_TYPES.includes(value.toLowerCase())) {
+                field.type = value.toLowerCase();
+            } else {
+                report(diagnostics, 'warning', line, 'invalid-option',
+                    `Student field flag "${flag}" was ignored; use optional, pattern=, choices=, placeholder= or type=${STUDENT_FIELD_TYPES.join('|')}.`);
+            }
+        });
+        fields.push(field);
+    });
+    return fields;
+}
+
+/**
+ * Parse the text of an `N:` line: a number, an optional `±tolerance` (`+-` and `+/-` also work)
+ * and an optional unit. Decimal commas are accepted.
+ * @param {string} text  e.g. "9.8 ±0.1 m/s²"
+ * @returns {NumericAnswer|null}  null when the text does not start with a number.
+ */
+export function parseNumericAnswer(text) {
+    const number = '[-+]?(?:\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:[.,]\\d*)?|[.,]\\d+)(?:e[-+]?\\d+)?';
+    const match = (text || '').trim().match(new RegExp(`^(${number})\\s*(?:(?:±|\\+\\/?-)\\s*(${number}))?\\s*(.*)$`, 'i'));
+    if (!match) return null;
+    // "1,000" is a thousands separator; "9,8" is a decimal comma
+    const toNumber = (value) => parseFloat(/^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(value)
+        ? value.replace(/,/g, '')
+        : value.replace(',', '.'));
+    return {
+        value: toNumber(match[1]),
+        tolerance: match[2] ? Math.abs(toNumber(match[2])) : 0,
+        unit: match[3].trim()
+    };
+}
+
+/**
+ * Read `audio-src = URL` from an audio section body.
+ * @param {string} audioSection
+ * @returns {string}  The URL, or '' when missing.
+ */
+export function parseAudio(audioSection) {
+    if (!audioSection) return '';
+    const audioMatch = audioSection.match(/audio-src\s*=\s*(.+)/);
+    return audioMatch ? audioMatch[1].trim() : '';
+}
+
+/**
+ * Read a `[mm:ss]`, `[h:mm:ss]` or `mm:ss.s` timestamp (brackets optional).
+ * @param {string} text
+ * @returns {number|null}  Seconds, or null when the text is not a valid timestamp.
+ */
+export function parseTimestamp(text) {
+    const match = String(text).trim().match(/^\[?(?:(\d+):)?(\d{1,2}):(\d{2}(?:[.,]\d+)?)\]?$/);
+    if (!match) return null;
+    const hours = match[1] ? parseInt(match[1]) : 0;
+    const minutes = parseInt(match[2]);
+    const seconds = parseFloat(match[3].replace(',', '.'));
+    if (seconds >= 60 || (match[1] && minutes >= 60)) return null;
+    return hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Read a duration: `m:ss`, `h:mm:ss`, or units such as `90s`, `5m`, `1m30s`, `1h`. A bare
+ * number is minutes, so `time-limit: 5` is five minutes.
+ * @param {string} text
+ * @returns {number|null}  Whole seconds (more than 0), or null when the text is not a duration.
+ */
+export function parseDuration(text) {
+    const value = String(text || '').trim().toLowerCase();
+    let seconds = null;
+    if (/^\d+(?:\.\d+)?$/.test(value)) {
+        seconds = parseFloat(value) * 60;
+    } else if (/^(?:\d+:)?\d{1,2}:\d{2}$/.test(value)) {
+        seconds = parseTimestamp(value);
+    } else {
+        const match = value.match(/^(?:(\d+)\s*h)?\s*(?:(\d+)\s*m(?:in)?)?\s*(?:(\d+)\s*s(?:ec)?)?$/);
+        if (match && (match[1] || match[2] || match[3])) {
+            seconds = (parseInt(match[1] || 0) * 3600) + (parseInt(match[2] || 0) * 60) + parseInt(match[3] || 0);
+        }
+    }
+    return seconds > 0 ? Math.round(seconds) : null;
+}
+
+/**
+ * Read `key: value` lines from a settings section body.
+ * @param {string} settingsSection
+ * @param {number} [startLine=1]  Source line of the body's first line, for diagnostics.
+ * @param {Diagnostic[]|null} [diagnostics=null]  Collects problems when given.
+ * @returns {Partial<QuizSettings>}  Only the settings the section gives.
+ */
+export function parseSettings(settingsSection, startLine = 1, diagnostics = null) {
+    const settings = {};
+    (settingsSection || '').split('\n').forEach((rawLine, index) => {
+        const line = startLine + index;
+        const text = rawLine.trim();
+        if (!text) return;
+        const colon = text.indexOf(':');
+        const key = colon > 0 ? text.slice(0, colon).trim().toLowerCase() : '';
+        const value = text.slice(colon + 1).trim();
+        if (!SETTINGS_KEYS.includes(key)) {
+            report(diagnostics, 'warning', line, 'unknown-setting',
+                `"${text}" was ignored; settings are ${SETTINGS_KEYS.map(name => `"${name}: ..."`).join(' and ')}.`);
+        } else if (key === 'time-limit') {
+            const seconds = parseDuration(value);
+            if (seconds) {
+                settings.timeLimit = seconds;
+            } else {
+                report(diagnostics, 'warning', line, 'invalid-duration', `"${value}" is not a duration; write it like 10:00, 90s or 5m.`);
+            }
+        } else {
+            const warnings = [];
+            value.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+                const seconds = parseDuration(part);
+                if (seconds) {
+                    warnings.push(seconds);
+                } else {
+                    report(diagnostics, 'warning', line, 'invalid-duration', `Time warning "${part}" is not a duration and was ignored.`);
+                }
+            });
+            settings.timeWarnings = [...new Set(warnings)].sort((a, b) => b - a);
+        }
+    });
+    return settings;
+}
+
+// Strip leading `[mm:ss]` stamps from the paragraphs of a passage body
+function parseTimestampedParagraphs(content, startLine, diagnostics) {
+    const paragraphs = content.trim().split(/\n\s*\n/);
+    const timestamps = [];
+    let stamped = false;
+    let lineOffset = countNewlines(content.slice(0, content.length - content.trimStart().length));
+    const stripped = paragraphs.map((paragraph, index) => {
+        const line = startLine + lineOffset;
+        lineOffset += countNewlines(paragraph) + 2;
+        const match = paragraph.match(/^\s*(\[[\d:.,]+\])\s*/);
+        const start = match ? parseTimestamp(match[1]) : null;
+        if (match && start === null) {
+            report(diagnostics, 'warning', line, 'invalid-timestamp', `"${match[1]}" is not a timestamp; write it as [mm:ss] or [h:mm:ss].`);
+        }
+        const previous = timestamps.filter(t => t !== null).pop();
+        if (start !== null && previous !== undefined && start <= previous) {
+            report(diagnostics, 'warning', line, 'timestamp-order', `Paragraph ${index + 1} starts at ${match[1]}, which is not after the paragraph before it.`);
+        }
+        timestamps.push(start);
+        if (start === null) return paragraph;
+        stamped = true;
+        return paragraph.slice(match[0].length);
+    });
+    return { text: stamped ? stripped.join('\n\n') : content, timestamps };
+}
+
+// `[mm:ss] label` cue lines and a `cues = file.vtt` line in an ---audio section body
+function parseAudioCues(content, startLine, diagnostics) {
+    const cues = [];
+    let cuesSrc = '';
+    (content || '').split('\n').forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        const srcMatch = line.match(/^cues\s*=\s*(.+)$/i);
+        if (srcMatch) {
+            cuesSrc = srcMatch[1].trim();
+            return;
+        }
+        const cueMatch = line.match(/^(\[[\d:.,]+\])\s*(.*)$/);
+        if (!cueMatch) return;
+        const start = parseTimestamp(cueMatch[1]);
+        if (start === null) {
+            report(diagnostics, 'warning', startLine + index, 'invalid-timestamp', `"${cueMatch[1]}" is not a timestamp; write it as [mm:ss] or [h:mm:ss].`);
+            return;
+        }
+        cues.push({ start, end: null, text: cueMatch[2].trim() });
+    });
+    return { cues, cuesSrc };
+}
+
+/**
+ * Parse a WebVTT file into cues. Cue settings, styling blocks and NOTE blocks are ignored.
+ * @param {string} vttText
+ * @returns {AudioCue[]}
+ */
+export function parseWebVtt(vttText) {
+    const cues = [];
+    const blocks = String(vttText || '').replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+    blocks.forEach(block => {
+        const lines = block.split('\n').filter(l => l.trim());
+        const timingIndex = lines.findIndex(l => l.includes('-->'));
+        if (timingIndex === -1) return;
+        const [startText, rest] = lines[timingIndex].split('-->');
+        const start = parseTimestamp(startText.trim());
+        const end = parseTimestamp((rest || '').trim().split(/\s+/)[0]);
+        if (start === null) return;
+        // Drop voice/class tags such as <v Speaker> from the cue text
+        const text = lines.slice(timingIndex + 1).join(' ').replace(/<[^>]+>/g, '').trim();
+        cues.push({ start, end, text });
+    });
+    return cues;
+}
+
+/**
+ * Split text into a heading (first non-empty line) and body (the rest).
+ * @param {string} text
+ * @param {string} [fallbackHeading='Instructions']
+ * @returns {{heading: string, body: string}}
+ */
+export function extractHeadingAndBody(text, fallbackHeading = 'Instructions') {
+    const lines = (text || '').split('\n');
+    let heading = '';
+    const bodyLines = [];
+
+    for (const line of lines) {
+        if (!heading && line.trim().length > 0) {
+            heading = line.trim();
+        } else {
+            bodyLines.push(line);
+        }
+    }
+
+    if (!heading) heading = fallbackHeading;
+    const body = bodyLines.join('\n').trim();
+    return { heading, body };
+}
+
+/**
+ * Split a section header line such as `questions-5 scoring=partial` into its parts.
+ * @param {string} headerLine  Header text after the `---`.
+ * @returns {{name: string, options: Object<string, string>, invalid: string[]}}
+ *          `name` is lower-cased; `invalid` lists tokens that are not `key=value`.
+ */
+export function parseSectionHeader(headerLine) {
+    const tokens = (headerLine || '').trim().split(/\s+/).filter(Boolean);
+    const name = (tokens.shift() || '').toLowerCase();
+    const options = {};
+    const invalid = [];
+    tokens.forEach(token => {
+        const idx = token.indexOf('=');
+        if (idx > 0) {
+            options[token.slice(0, idx).toLowerCase()] = token.slice(idx + 1);
+        } else {
+            invalid.push(token);
+        }
+    });
+    return { name, options, invalid };
+}
+
+// Keep the header options a section type understands, warning about the rest.
+function sectionOptions(header, type, line, diagnostics) {
+    const allowed = SECTION_OPTIONS[type] || {};
+    const options = {};
+    header.invalid.forEach(token => {
+        report(diagnostics, 'warning', line, 'invalid-option', `Header option "${token}" is not written as key=value and was ignored.`);
+    });
+    Object.entries(header.options).forEach(([key, value]) => {
+        if (!(key in allowed)) {
+            report(diagnostics, 'warning', line, 'unknown-option', `---${type} does not understand the option "${key}".`);
+        } else if (allowed[key] && !allowed[key].includes(value.toLowerCase())) {
+            report(diagnostics, 'warning', line, 'invalid-option',
+                `"${key}=${value}" is not valid; use one of: ${allowed[key].join(', ')}.`);
+        } else {
+            options[key] = allowed[key] ? value.toLowerCase() : value;
+        }
+    });
+    return options;
+}
+
+// The `time=` option of a section in seconds, or 0 when it is missing or not a duration.
+function sectionTimeLimit(options, line, diagnostics) {
+    if (options.time === undefined) return 0;
+    const seconds = parseDuration(options.time);
+    if (seconds) return seconds;
+    report(diagnostics, 'warning', line, 'invalid-duration', `"time=${options.time}" is not a duration; write it like 2:30, 90s or 5m.`);
+    return 0;
+}
+
+// The `lang=` option of a section, or '' when it is missing or not a language tag.
+function sectionLang(options, line, diagnostics) {
+    if (options.lang === undefined) return '';
+    if (LANG_TAG.test(options.lang)) return options.lang;
+    report(diagnostics, 'warning', line, 'invalid-lang', `"lang=${options.lang}" is not a language tag; write it like en-US or th-TH.`);
+    return '';
+}
+
+// Append a diagnostic when a collector was supplied.
+function report(diagnostics, severity, line, code, message) {
+    if (diagnostics) diagnostics.push({ severity, line, code, message });
+}
+
+// Split source on `---` and record the line each trimmed chunk starts on.
+function splitSections(content) {
+    const chunks = [];
+    let line = 1;
+    content.split('---').forEach(raw => {
+        const leading = raw.match(/^\s*/)[0];
+        chunks.push({ text: raw.trim(), line: line + countNewlines(leading) });
+        line += countNewlines(raw);
+    });
+    return chunks;
+}
+
+function countNewlines(text) {
+    let count = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') count++;
+    }
+    return count;
+}
+
+// Read the `-N` suffix of a header such as `questions-3`.
+function headerCount(sectionHeader, name) {
+    const match = sectionHeader.match(new RegExp(`${name}(?:-(\\d+))?`));
+    return match && match[1] ? parseInt(match[1]) : null;
+}
@@ -0,0 +1,150 @@
+// Safe rich-text rendering for author and student text.
+//
+// Text is always HTML-escaped; a small Markdown subset is then turned back into
+// markup: **bold** / __bold__, *italic* / _italic_, `code`, [links](url),
+// ![media](url) from allowed hosts, and line breaks. `![alt](url)` renders an
+// image, or an audio/video player when the URL ends in a media extension.
+// Like quiz-parser.js this module is DOM-free, so it can run in Node as well as
+// in the browser.
+
+// URL schemes links may use. Anything else (javascript:, data:, ...) renders as plain text.
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+const AUDIO_EXTENSIONS = ['mp3', 'm4a', 'aac', 'ogg', 'oga', 'opus', 'wav'];
+const VIDEO_EXTENSIONS = ['mp4', 'm4v', 'webm', 'ogv', 'mov'];
+
+// `![alt](url)`; the alt text is required
+export const MEDIA_PATTERN = /!\[([^\]\n]*)\]\(([^)\s]+)\)/g;
+
+// Private-use sentinels wrap the index of a stashed HTML fragment while the rest is processed
+const STASH = '\u0000';
+
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * What `![alt](url)` renders as, judged by the URL's file extension.
+ * @param {string} url
+ * @returns {'image'|'audio'|'video'}
+ */
+export function mediaKind(url) {
+    const match = String(url).split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i);
+    const extension = match ? match[1].toLowerCase() : '';
+    if (AUDIO_EXTENSIONS.includes(extension)) return 'audio';
+    if (VIDEO_EXTENSIONS.includes(extension)) return 'video';
+    return 'image';
+}
+
+/**
+ * true when the text is nothing but a single image (used to lay out picture answer choices).
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isImageOnly(text) {
+    const match = String(text).trim().match(/^!\[([^\]\n]*)\]\(([^)\s]+)\)$/);
+    return !!match && match[1].trim() !== '' && mediaKind(match[2]) === 'image';
+}
+
+function hasScheme(url) {
+    return /^[a-z][a-z0-9+.-]*:/i.test(url);
+}
+
+// Relative URLs are allowed; absolute ones must use one of LINK_PROTOCOLS
+function isSafeLink(url) {
+    if (!hasScheme(url)) return true;
+    try {
+        return LINK_PROTOCOLS.includes(new URL(url).protocol);
+    } catch (e) {
+        return false;
+    }
+}
+
+// Media may load from the page's own site, or over https from an allowed host; an entry like
+// `*.example.com` also matches its subdomains. The URL is resolved the way the browser will load
+// it, so tricks like `/\evil.example` or `\\evil.example` are judged by the host they reach.
+function isAllowedMedia(url, imageHosts) {
+    // Outside a browser, relative URLs resolve against a stand-in for the page
+    const base = typeof location !== 'undefined' && location.href ? location.href : 'https://page.invalid/';
+    let parsed;
+    let page;
+    try {
+        page = new URL(base);
+        parsed = new URL(url, page);
+    } catch (e) {
+        return false;
+    }
+    // file: pages have an opaque ("null") origin, so they are matched by protocol and (empty) host
+    const samePage = page.origin !== 'null'
+        ? parsed.origin === page.origin
+        : parsed.protocol === 'file:' && page.protocol === 'file:' && parsed.host === page.host;
+    if (samePage) return true;
+    if (parsed.protocol !== 'https:') return false;
+    const host = parsed.hostname.toLowerCase();
+    return imageHosts.some(entry => {
+        const allowed = String(entry).toLowerCase();
+        if (allowed.startsWith('*.')) {
+            const base = allowed.slice(2);
+            return host === base || host.endsWith(`.${base}`);
+        }
+        return host === allowed;
+    });
+}
+
+/**
+ * Render author or student text as sanitised HTML.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string[]} [options.imageHosts=[]]  Hosts `![alt](https://...)` images and clips may load from.
+ *                                            URLs on the page's own site are always allowed.
+ * @returns {string} HTML safe to assign to innerHTML.
+ */
+export function renderRichText(text, options = {}) {
+    if (text === null || text === undefined || text === '') return '';
+    const { imageHosts = [] } = options;
+    const stashed = [];
+    const stash = (html) => `${STASH}${stashed.push(html) - 1}${STASH}`;
+
+    let source = String(text).replace(/\u0000/g, '');
+
+    // Code spans keep their contents literally
+    source = source.replace(/`([^`\n]+)`/g, (match, code) => stash(`<code>${escapeHtml(code)}</code>`));
+
+    source = source.replace(MEDIA_PATTERN, (match, alt, url) => {
+        // Media without alt text is dropped (the parser reports it as an error)
+        if (!alt.trim()) return '';
+        if (!isAllowedMedia(url, imageHosts)) return alt;
+        const src = escapeHtml(url);
+        const label = escapeHtml(alt.trim());
+        const kind = mediaKind(url);
+        if (kind === 'audio') {
+            return stash(`<audio class="rich-audio" controls preload="none" src="${src}" aria-label="${label}" title="${label}"></audio>`);
+        }
+        if (kind === 'video') {
+            return stash(`<video class="rich-video" controls playsinline preload="metadata" src="${src}" aria-label="${label}" title="${label}"></video>`);
+        }
+        return stash(`<img class="rich-image" src="${src}" alt="${label}" loading="lazy">`);
+    });
+
+    // Link labels stay in the text so they still get emphasis
+    source = source.replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+        if (!isSafeLink(url)) return label;
+        return `${stash(`<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">`)}${label}${stash('</a>')}`;
+    });
+
+    let html = escapeHtml(source)
+        .replace(/\*\*([^*\n]+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/__([^_\n]+?)__/g, '<strong>$1</strong>')
+        .replace(/\*([^*\n]+?)\*/g, '<em>$1</em>')
+        // Underscores inside words (snake_case, file_name) are left alone
+        .replace(/(^|[^\p{L}\p{N}_])_([^_\n]+?)_(?![\p{L}\p{N}_])/gu, '$1<em>$2</em>')
+        .replace(/\r?\n/g, '<br>');
+
+    html = html.replace(new RegExp(`${STASH}(\\d+)${STASH}`, 'g'), (match, index) => stashed[index]);
+    return html;
+}
@@ -0,0 +1,221 @@
+// Talks to the SCORM runtime of an LMS when the quiz is launched as a SCORM package.
+//
+// The LMS puts its API object on a parent frame (or the window that opened the quiz):
+// `API_1484_11` for SCORM 2004, `API` for SCORM 1.2. connectScorm() finds it, initialises
+// the session once per page and returns one session object that every quiz on the page
+// shares. The session hides the differences between the two data models.
+
+// How many frames up to look, as in the ADL sample API discovery code
+const MAX_FRAME_DEPTH = 7;
+
+// Data model names for the two versions
+const DATA_MODEL = {
+    '1.2': {
+        learnerName: 'cmi.core.student_name',
+        learnerId: 'cmi.core.student_id',
+        lessonStatus: 'cmi.core.lesson_status',
+        scoreRaw: 'cmi.core.score.raw',
+        scoreMin: 'cmi.core.score.min',
+        scoreMax: 'cmi.core.score.max',
+        sessionTime: 'cmi.core.session_time',
+        exit: 'cmi.core.exit',
+        learnerResponse: 'student_response',
+        wrong: 'wrong'
+    },
+    '2004': {
+        learnerName: 'cmi.learner_name',
+        learnerId: 'cmi.learner_id',
+        completionStatus: 'cmi.completion_status',
+        successStatus: 'cmi.success_status',
+        scoreScaled: 'cmi.score.scaled',
+        scoreRaw: 'cmi.score.raw',
+        scoreMin: 'cmi.score.min',
+        scoreMax: 'cmi.score.max',
+        sessionTime: 'cmi.session_time',
+        exit: 'cmi.exit',
+        learnerResponse: 'learner_response',
+        wrong: 'incorrect'
+    }
+};
+
+let session; // undefined until the first connectScorm(), then a session or null
+
+// A 2004 fill-in value is a `[,]`-separated list that may open with `{lang=...}`, `{case_matters=...}`
+// or `{order_matters=...}`. Text that would read as one of those is escaped: a `[,]` gets a space,
+// and a leading `{` goes behind an explicit (undetermined) language.
+function fillInValue(text) {
+    const value = String(text).replace(/\[,\]/g, '[ ,]');
+    return value.startsWith('{') ? `{lang=und}${value}` : value;
+}
+
+function searchFrames(win) {
+    let current = win;
+    for (let depth = 0; current && depth <= MAX_FRAME_DEPTH; depth++) {
+        try {
+            if (current.API_1484_11) return { api: current.API_1484_11, version: '2004' };
+            if (current.API) return { api: current.API, version: '1.2' };
+        } catch (error) {
+            return null; // a cross-origin frame: the LMS cannot be further up
+        }
+        if (!current.parent || current.parent === current) break;
+        current = current.parent;
+    }
+    return null;
+}
+
+/**
+ * Find the LMS's SCORM API on this window, its parents, or its opener's.
+ * @param {Window} win
+ * @returns {{api: Object, version: '1.2'|'2004'}|null}
+ */
+export function findScormApi(win) {
+    const found = searchFrames(win);
+    if (found) return found;
+    try {
+        return win.opener ? searchFrames(win.opener) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// "Doe, Jane" (how LMSs usually give the name) -> "Jane Doe"
+function displayName(name) {
+    const parts = String(name || '').split(',').map(part => part.trim()).filter(Boolean);
+    return parts.length === 2 ? `${parts[1]} ${parts[0]}` : parts.join(' ');
+}
+
+// SCORM 1.2 CMITimespan, HHHH:MM:SS
+function timespan(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    const pad = value => String(value).padStart(2, '0');
+    return `${String(Math.floor(total / 3600)).padStart(4, '0')}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+}
+
+// SCORM 2004 timeinterval, e.g. PT1H2M5S
+function duration(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor(total / 60) % 60;
+    return `PT${hours ? `${hours}H` : ''}${minutes ? `${minutes}M` : ''}${total % 60}S`;
+}
+
+function createSession(api, version) {
+    const names = DATA_MODEL[version];
+    const call = version === '2004'
+        ? (method, ...args) => api[method](...args)
+        : (method, ...args) => api[`LMS${method}`](...args);
+    const startedAt = Date.now();
+    let active = true;
+
+    const get = name => {
+        const value = call('GetValue', name);
+        return value === undefined || value === null ? '' : String(value);
+    };
+    const set = (name, value) => {
+        const ok = String(call('SetValue', name, String(value))) === 'true';
+        if (!ok) console.warn(`SCORM: could not set ${name} (error ${call('GetLastError')})`);
+        return ok;
+    };
+
+    // Interactions are added after any the LMS already holds for this attempt
+    let nextInteraction = parseInt(get('cmi.interactions._count'), 10) || 0;
+
+    // A first launch counts as started, so the LMS does not show the quiz as untouched
+    if (version === '2004') {
+        if (['not attempted', 'unknown', ''].includes(get(names.completionStatus))) set(names.completionStatus, 'incomplete');
+    } else if (['not attempted', ''].includes(get(names.lessonStatus))) {
+        set(names.lessonStatus, 'incomplete');
+    }
+    call('Commit', '');
+
+    return {
+        version,
+
+        /** @returns {{name: string, id: string}} */
+        learner() {
+            return { name: displayName(get(names.learnerName)), id: get(names.learnerId) };
+        },
+
+        /** @returns {number|null} The LMS's pass mark as a fraction (0-1), if it set one. */
+        passingScore() {
+            const value = version === '2004' ? get('cmi.scaled_passing_score') : get('cmi.student_data.mastery_score');
+            if (value === '' || isNaN(parseFloat(value))) return null;
+            return version === '2004' ? parseFloat(value) : parseFloat(value) / 100;
+        },
+
+        /**
+         * Record a finished attempt: score, completion, pass/fail (when `passed` is a boolean)
+         * and one interaction per item, then commit.
+         * @param {{score: number, total: number, passed: (boolean|null), items: Object[]}} result
+         */
+        reportResult({ score, total, passed, items = [] }) {
+            if (!active) return;
+            const scaled = total > 0 ? score / total : 0;
+
+            items.forEach(item => {
+                const prefix = `cmi.interactions.${nextInteraction++}.`;
+                // 2004 wants interaction ids in URI form
+                set(`${prefix}id`, version === '2004' ? `urn:tj-quiz:${item.id}` : item.id);
+                set(`${prefix}type`, 'fill-in');
+                if (version === '2004' && item.prompt) set(`${prefix}description`, item.prompt.slice(0, 250));
+                set(`${prefix}weighting`, item.possible || 1);
+                const response = String(item.response || '');
+                const answer = String(item.answer);
+                set(`${prefix}${names.learnerResponse}`, (version === '2004' ? fillInValue(response) : response).slice(0, 255));
+                set(`${prefix}correct_responses.0.pattern`, (version === '2004' ? fillInValue(answer) : answer).slice(0, 255));
+                set(`${prefix}result`, item.correct ? 'correct' : names.wrong);
+            });
+
+            if (version === '2004') {
+                set(names.scoreScaled, Math.round(scaled * 10000) / 10000);
+                set(names.scoreRaw, score);
+                set(names.scoreMin, 0);
+                set(names.scoreMax, total);
+                set(names.completionStatus, 'completed');
+                set(names.successStatus, passed === null ? 'unknown' : (passed ? 'passed' : 'failed'));
+            } else {
+                // 1.2 LMSs expect raw scores on a 0-100 scale
+                set(names.scoreRaw, Math.round(scaled * 100));
+                set(names.scoreMin, 0);
+                set(names.scoreMax, 100);
+                set(names.lessonStatus, passed === null ? 'completed' : (passed ? 'passed' : 'failed'));
+            }
+            call('Commit', '');
+        },
+
+        // Close the session; called once when the page goes away
+        terminate() {
+            if (!active) return;
+            active = false;
+            const seconds = (Date.now() - startedAt) / 1000;
+            set(names.sessionTime, version === '2004' ? duration(seconds) : timespan(seconds));
+            set(names.exit, version === '2004' ? 'normal' : '');
+            call('Commit', '');
+            call(version === '2004' ? 'Terminate' : 'Finish', '');
+        }
+    };
+}
+
+/**
+ * The page's SCORM session, initialising it on first use. Null when there is no LMS or it
+ * refuses to initialise.
+ * @param {Window} win
+ * @returns {Object|null}
+ */
+export function connectScorm(win) {
+    if (session !== undefined) return session;
+    session = null;
+    const found = findScormApi(win);
+    if (!found) return null;
+
+    const { api, version } = found;
+    const initialize = version === '2004' ? api.Initialize : api.LMSInitialize;
+    if (typeof initialize !== 'function' || String(initialize.call(api, '')) !== 'true') {
+        console.warn(`SCORM ${version} API found but it did not initialise.`);
+        return null;
+    }
+    console.log(`SCORM ${version} session started`);
+    session = createSession(api, version);
+    win.addEventListener('pagehide', () => session.terminate());
+    return session;
+}
@@ -0,0 +1,277 @@
+// Transports that deliver a quiz score to wherever the teacher collects them.
+//
+// An adapter is an object with `send(payload, options)` that resolves with the
+// server's reply ({ message } is shown to the student when present) or throws.
+// Errors carry `retryable: true` when sending again later may work (no
+// connection, 5xx, 408, 429); the element then keeps the score in its offline
+// queue. `options` is the host's `submissionOptions` plus the submission `url`.
+// An adapter with `detail: 'items'` always gets the per-item results in the
+// payload, whatever the quiz's `submissionDetail` is.
+// Like quiz-parser.js this module is DOM-free; it only needs `fetch`.
+
+import { hashSource } from './quiz-parser.js';
+
+const adapters = {};
+
+/**
+ * Make an adapter available by name, e.g. for `submissionAdapter: 'my-lms'` in config.js.
+ * @param {string} name
+ * @param {{send: function(Object, Object): Promise<Object>}} adapter
+ */
+export function registerSubmissionAdapter(name, adapter) {
+    if (!adapter || typeof adapter.send !== 'function') {
+        throw new TypeError(`Submission adapter "${name}" needs a send(payload, options) method.`);
+    }
+    adapters[String(name).toLowerCase()] = adapter;
+}
+
+/**
+ * @param {string} name
+ * @returns {{send: function(Object, Object): Promise<Object>}|null}
+ */
+export function getSubmissionAdapter(name) {
+    return adapters[String(name || '').toLowerCase()] || null;
+}
+
+/** @returns {string[]} Names of every registered adapter. */
+export function availableSubmissionAdapters() {
+    return Object.keys(adapters);
+}
+
+// fetch that marks failures with `retryable`; resolves with the Response when it is ok
+async function request(url, init) {
+    let response;
+    try {
+        response = await fetch(url, init);
+    } catch (error) {
+        error.retryable = true;
+        throw error;
+    }
+    if (!response.ok) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+        throw error;
+    }
+    return response;
+}
+
+async function readReply(response) {
+    const contentType = response.headers.get('content-type');
+    if (contentType && contentType.includes('application/json')) {
+        return response.json();
+    }
+    const text = await response.text();
+    console.warn('Non-JSON response received:', text);
+    return { message: 'Submission received (non-JSON response)' };
+}
+
+// Google Apps Script web apps: a CORS POST of the JSON with no content type, which keeps the
+// request "simple" so the browser sends no preflight the script can't answer
+const appsScript = {
+    async send(payload, options) {
+        const response = await request(options.url, {
+            method: 'POST',
+            mode: 'cors',
+            body: JSON.stringify(payload)
+        });
+        return readReply(response);
+    }
+};
+
+/**
+ * Fill a webhook body template. `{{key}}` becomes the payload value as JSON (strings quoted,
+ * missing keys null), so `{"name": {{nickname}}, "score": {{score}}}` stays valid JSON.
+ * `{{payload}}` is the whole payload.
+ * @param {string} template
+ * @param {Object} payload
+ * @returns {string}
+ */
+export function fillBodyTemplate(template, payload) {
+    return template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, key) => {
+        if (key === 'payload') return JSON.stringify(payload);
+        const value = key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), payload);
+        return JSON.stringify(value === undefined ? null : value);
+    });
+}
+
+// Any HTTP endpoint. Options: method ('POST'), headers ({ 'Content-Type': 'application/json' }),
+// body (a template string for fillBodyTemplate or a function payload -> string; default the JSON).
+const webhook = {
+    async send(payload, options) {
+        const method = (options.method || 'POST').toUpperCase();
+        let body;
+        if (typeof options.body === 'function') body = options.body(payload);
+        else if (typeof options.body === 'string') body = fillBodyTemplate(options.body, payload);
+        else body = JSON.stringify(payload);
+        const response = await request(options.url, {
+            method,
+            mode: 'cors',
+            headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
+            body: method === 'GET' || method === 'HEAD' ? undefined : body
+        });
+        return readReply(response);
+    }
+};
+
+const XAPI_VERBS = {
+    answered: { id: 'http://adlnet.gov/expapi/verbs/answered', display: { 'en-US': 'answered' } },
+    completed: { id: 'http://adlnet.gov/expapi/verbs/completed', display: { 'en-US': 'completed' } }
+};
+
+// Statement ids are derived from the submission ID, so a retried submission repeats the same ids
+// and the LRS can tell it already has them
+function statementId(submissionId, index) {
+    const match = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-)([0-9a-f]{12})$/i.exec(submissionId || '');
+    if (!match) return undefined;
+    const node = (parseInt(match[2], 16) + index) % 0x1000000000000;
+    return `${match[1]}${node.toString(16).padStart(12, '0')}`;
+}
+
+// ISO 8601 duration for a number of seconds, e.g. PT1M5S
+function isoDuration(seconds) {
+    const total = Math.max(0, Math.round(seconds || 0));
+    const minutes = Math.floor(total / 60);
+    return `PT${minutes ? `${minutes}M` : ''}${total % 60}S`;
+}
+
+/**
+ * The xAPI statements for a score: one "answered" per item in `payload.items`, then one
+ * "completed" for the quiz.
+ * @param {Object} payload  The element's score payload.
+ * @param {Object} [options]  activityId, homePage, language, actor (object or payload -> Agent).
+ * @returns {Object[]}
+ */
+export function buildXapiStatements(payload, options = {}) {
+    const here = typeof location !== 'undefined' ? location : null;
+    const activityId = options.activityId || (here ? `${here.origin}${here.pathname}` : 'urn:tj-quiz');
+    const language = options.language || 'en-US';
+    const actor = typeof options.actor === 'function'
+        ? options.actor(payload)
+        : (options.actor || {
+            objectType: 'Agent',
+            name: payload.nickname || payload.name || payload.studentId || 'Student',
+            ...(payload.email
+                ? { mbox: `mailto:${payload.email}` }
+                : { account: { homePage: options.homePage || (here ? here.origin : activityId), name: String(payload.studentId || payload.nickname || 'anonymous') } })
+        });
+    const quiz = {
+        objectType: 'Activity',
+        id: activityId,
+        definition: {
+            name: { [language]: payload.quizName || 'Quiz' },
+            type: 'http://adlnet.gov/expapi/activities/assessment'
+        }
+    };
+    const context = {
+        ...(statementId(payload.submissionId, 0) ? { registration: payload.submissionId } : {}),
+        ...(payload.quizVersion ? { extensions: { [`${activityId}#version`]: payload.quizVersion } } : {})
+    };
+
+    // Items are identified by their prompt, so the same question has the same activity id in
+    // every attempt even though attempts draw and shuffle them differently
+    const statements = (payload.items || []).map((item, index) => ({
+        id: statementId(payload.submissionId, index + 1),
+        actor,
+        verb: XAPI_VERBS.answered,
+        object: {
+            objectType: 'Activity',
+            id: `${activityId}/${item.section}/${hashSource(`${item.prompt}\n${item.answer}`)}`,
+            definition: {
+                name: { [language]: item.prompt || `${item.section} ${index + 1}` },
+                type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+                interactionType: 'fill-in',
+                correctResponsesPattern: [String(item.answer)]
+            }
+        },
+        result: {
+            response: String(item.response),
+            success: !!item.correct,
+            score: { raw: item.points, max: item.possible || 1 }
+        },
+        context: { ...context, contextActivities: { parent: [{ id: activityId }] } },
+        timestamp: payload.timestamp
+    }));
+
+    statements.push({
+        id: statementId(payload.submissionId, 0),
+        actor,
+        verb: XAPI_VERBS.completed,
+        object: quiz,
+        result: {
+            completion: true,
+            score: {
+                raw: payload.score,
+                max: payload.total,
+                min: 0,
+                scaled: payload.total > 0 ? Math.round((payload.score / payload.total) * 10000) / 10000 : 0
+            },
+            ...(payload.timeSpent !== undefined ? { duration: isoDuration(payload.timeSpent) } : {})
+        },
+        context,
+        timestamp: payload.timestamp
+    });
+
+    // Statements without a derived id (submission ID not a UUID) get one from the LRS:
+    // JSON.stringify leaves out the undefined `id`
+    return statements;
+}
+
+// Whether a statement the LRS holds is the one we sent: same actor, verb, object and result.
+// The LRS adds its own fields (stored, authority, version), so those are not compared.
+function sameStatement(sent, stored) {
+    const actorOf = actor => actor && (actor.mbox || (actor.account && `${actor.account.homePage}|${actor.account.name}`));
+    const resultOf = result => JSON.stringify(result ? [result.response, result.success, result.score && result.score.raw] : null);
+    return !!stored &&
+        actorOf(sent.actor) === actorOf(stored.actor) &&
+        sent.verb.id === (stored.verb && stored.verb.id) &&
+        sent.object.id === (stored.object && stored.object.id) &&
+        resultOf(sent.result) === resultOf(stored.result);
+}
+
+// An xAPI Learning Record Store. `url` is the LRS endpoint (statements are POSTed to
+// `<url>/statements`); options: auth (the Authorization header, e.g. 'Basic ...'), version
+// ('1.0.3') and those of buildXapiStatements.
+const xapi = {
+    detail: 'items',
+    async send(payload, options) {
+        const endpoint = options.url.replace(/\/+$/, '');
+        const headers = {
+            'X-Experience-API-Version': options.version || '1.0.3',
+            ...(options.auth ? { Authorization: options.auth } : {})
+        };
+        const statements = buildXapiStatements(payload, options);
+        try {
+            await request(`${endpoint}/statements`, {
+                method: 'POST',
+                mode: 'cors',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(statements)
+            });
+        } catch (error) {
+            if (error.status !== 409) throw error;
+            // 409 Conflict: the LRS holds a statement with one of these ids that differs from it.
+            // That is fine only when an earlier try stored exactly these, so look them up.
+            console.warn('The LRS answered 409 Conflict; checking whether it already has this score.');
+            for (const statement of statements) {
+                const stored = statement.id && await request(`${endpoint}/statements?statementId=${encodeURIComponent(statement.id)}`, {
+                    method: 'GET',
+                    mode: 'cors',
+                    headers
+                }).then(response => response.json()).catch(lookupError => {
+                    if (lookupError.retryable) throw lookupError;
+                    return null;
+                });
+                if (!sameStatement(statement, stored)) {
+                    console.error('The LRS has a different statement under id', statement.id, stored);
+                    throw error;
+                }
+            }
+        }
+        return {};
+    }
+};
+
+registerSubmissionAdapter('apps-script', appsScript);
+registerSubmissionAdapter('webhook', webhook);
+registerSubmissionAdapter('xapi', xapi);
@@ -1,8 +1,16 @@
 import { config } from './config.js';
+import { parseQuiz, parseNumericAnswer, parseCloze, parseWebVtt, parseDuration, hashSource } from './quiz-parser.js';
+import { renderRichText, escapeHtml, isImageOnly } from './rich-text.js';
+import { DEFAULT_LOCALE, registerLocale, translate } from './locales.js';
+import { getSubmissionAdapter, registerSubmissionAdapter } from './submission-adapters.js';
+import { connectScorm } from './scorm.js';
 
 class TjQuizElement extends HTMLElement {
+    // Retry of queued scores in progress, shared by every quiz on the page so each is sent once
+    static outboxFlush = null;
+
     static get observedAttributes() {
-        return ['submission-url'];
+        return ['submission-url', 'submission-adapter', 'submission-detail', 'passing-score', 'time-limit', 'time-warnings', 'author-mode', 'lang', 'locale'];
     }
 
     constructor() {
@@ -10,7 +18,7 @@ class TjQuizElement extends HTMLElement {
         this.attachShadow({ mode: 'open' });
         this.questionBank = [];
         this.passages = []; // support multiple text sections
-        this.selectedVoiceName = null;
+        this.selectedVoices = {}; // lang -> chosen voice name
         this.isPlayingAll = false;
         this.instructions = []; // store instruction-only sections
         this.questionGroups = []; // questions grouped by preceding text section (sectionId) or null for global
@@ -22,9 +30,25 @@ class TjQuizElement extends HTMLElement {
         this.totalQuestions = 0; // Will be set based on actual question count
         this.audioPlayer = null;
         this.utterance = null;
+        this.ttsLang = 'en-US';
+        this.ttsRate = 1;
+        this.ttsPitch = 1;
+        this.ttsSession = null; // { button, text, sentences, index, words, lang, utterance } while TTS reads
         this.audioSrc = '';
+        this.audioCues = []; // [mm:ss] cues or WebVTT cues for the lesson recording
+        this.audioCuesSrc = '';
+        this.activeSegment = null; // { button, start, end } while a passage plays its part of the lesson audio
         this.currentAudioButton = null; // currently-playing passage audio button (for icon state)
+        this.itemAudioPlayers = new Map(); // passage/question audio button -> Audio for its recording
         this.submissionUrl = config.submissionUrl || ''; // Use config file for submission URL
+        this.submissionAdapter = config.submissionAdapter || 'apps-script'; // transport from submission-adapters.js
+        this.submissionOptions = config.submissionOptions || {}; // passed to the adapter (headers, auth, ...)
+        this.submissionDetail = config.submissionDetail || 'summary'; // 'items' adds per-item results to the payload
+        this.passingScore = config.passingScore; // percent needed to pass, when the LMS sets no mastery score
+        this.scorm = null; // SCORM session when launched from an LMS (see scorm.js)
+        this.imageHosts = config.imageHosts || []; // hosts ![images](https://...) in quiz text may load from
+        this.locale = config.locale || DEFAULT_LOCALE; // UI language; the `locale` attribute overrides it
+        this.stringOverrides = { ...(config.strings || {}) }; // per-element UI strings that win over the locale pack
         this.title = '';
         this.passage = '';
         this.vocabularySections = []; // Array of vocabulary sections
@@ -35,16 +59,63 @@ class TjQuizElement extends HTMLElement {
         this.clozeAnswers = {}; // User's answers for each blank (section-blank key)
         this.clozeScore = 0;
         this.clozeSubmitted = false;
+        this.orderSections = []; // Array of order (sequencing) sections
+        this.orderAnswers = {}; // sectionId -> current item order (indices into items), once the student has moved something
+        this.orderScore = 0;
+        this.orderSubmitted = false;
         this.userQuestionAnswers = {}; // map questionIndex -> selected value (for MC questions)
         this.quizUnlocked = false; // track whether students completed the info gate
+        this.studentGate = true; // false for `---student gate=off`: no identity form before the quiz
+        this.studentFields = []; // fields of the identity form (StudentField objects from the parser)
+        this.itemResults = { vocab: [], cloze: [], order: [], questions: [] }; // per-item records of the last check
+        this.attemptStartedAt = null; // Date.now() when the quiz was unlocked
+        this.attemptSeconds = 0; // time from unlocking to checking the score
+        this.timeLimit = null; // seconds from the time-limit attribute; null to use the quiz's ---settings
+        this.timeWarnings = null; // seconds left to warn at, from the time-warnings attribute
+        this.timerInterval = null; // ticks the countdowns of a timed attempt
+        this.sectionObserver = null; // starts a `time=` section's clock when its card comes into view
+        this.sectionStarts = {}; // section index -> Date.now() when that `time=` section's clock started
+        this.timeWarningsGiven = []; // thresholds already announced this attempt
+        this.timedOut = false; // true when the time limit handed the attempt in
+        this.attemptNumber = 0;
+        this.submissionId = ''; // sent with the score so a retried submission can be recognised
+        this.results = null; // getResults() of the last check, until Try Again
+        this.draw = { selection: [], quiz: [] }; // every shuffle of this attempt, as permutations (see shuffleArray)
+        this.drawTarget = null; // which list of `draw` shuffles are recorded into right now
+        this.replay = null; // saved permutations to lay out again while resuming an attempt
+        this.replayFailed = false;
+        this.restoring = false; // true while saved answers are put back, so they are not re-saved or re-announced
+        this.attemptSaveKey = ''; // localStorage key this attempt is autosaved under
+        this.pendingResume = null; // { key, save } offered in the resume prompt
+        this.queuedSubmissionId = ''; // this attempt's score, while it waits in the offline queue
+        this.handleOnline = () => this.flushOutbox();
         this.autoSubmissionInProgress = false;
         this.scoreSubmitted = false;
         this.ttsPaused = false; // explicitly track paused state for robustness
     }
 
-    attributeChangedCallback(name, newValue) {
+    attributeChangedCallback(name, oldValue, newValue) {
         if (name === 'submission-url') {
             this.submissionUrl = newValue;
+        } else if (name === 'submission-adapter') {
+            this.submissionAdapter = newValue || config.submissionAdapter || 'apps-script';
+        } else if (name === 'submission-detail') {
+            this.submissionDetail = newValue || config.submissionDetail || 'summary';
+        } else if (name === 'passing-score') {
+            this.passingScore = newValue === null ? config.passingScore : parseFloat(newValue);
+        } else if (name === 'time-limit') {
+            this.timeLimit = newValue === null ? null : parseDuration(newValue);
+            if (newValue !== null && !this.timeLimit) console.warn(`time-limit="${newValue}" is not a duration; write it like 10:00 or 90s.`);
+        } else if (name === 'time-warnings') {
+            this.timeWarnings = newValue === null ? null : newValue.split(',').map(part => parseDuration(part)).filter(Boolean);
+        } else if (name === 'author-mode' && this.ast) {
+            this.renderDiagnostics();
+        } else if (name === 'lang') {
+            // Language of the quiz text, used for TTS where a section has no lang= of its own
+            this.ttsLang = newValue || 'en-US';
+            if (this.ast) this.loadTtsPreferences();
+        } else if (name === 'locale') {
+            this.setLocale(newValue || config.locale || DEFAULT_LOCALE);
         }
     }
 
@@ -59,6 +130,7 @@ class TjQuizElement extends HTMLElement {
 
         await this.loadTemplate();
         this.setAttribute('translate', 'no');
+        this.localizeTemplate();
 
         if (!this._shouldShowAudioControls()) {
             const voiceBtn = this.shadowRoot.getElementById('voice-btn');
@@ -71,10 +143,31 @@ class TjQuizElement extends HTMLElement {
             this._updateVoiceList();
         }
 
+        // Inside an LMS the learner and the score go through its SCORM API (`scorm: false` opts out)
+        if (config.scorm !== false) {
+            this.scorm = connectScorm(window);
+        }
+
         this.parseContent();
+        this.renderStudentFields();
+        this.loadTtsPreferences();
+        this.reportDiagnostics();
         this.setupEventListeners();
         this.generateQuiz();
+        // Before locking: without a gate, locking starts the quiz, and quiz-start follows quiz-ready
+        this.emitReady('load');
         this.lockQuizContent();
+        this.offerResume();
+        this.loadAudioCues();
+
+        // Scores that could not be sent earlier go out now and whenever the connection returns
+        window.addEventListener('online', this.handleOnline);
+        this.flushOutbox();
+    }
+
+    disconnectedCallback() {
+        window.removeEventListener('online', this.handleOnline);
+        this.stopTimers();
     }
 
     async loadTemplate() {
@@ -136,6 +229,187 @@ class TjQuizElement extends HTMLElement {
         }
     }
 
+    // Add a UI language pack for every quiz on the page, or merge strings into an existing one
+    static registerLocale(locale, strings) {
+        registerLocale(locale, strings);
+    }
+
+    // Add a score transport that `submissionAdapter` / the `submission-adapter` attribute can name
+    static registerSubmissionAdapter(name, adapter) {
+        registerSubmissionAdapter(name, adapter);
+    }
+
+    // UI string for `key` in this quiz's locale, with `{name}` placeholders filled from `params`
+    t(key, params = {}) {
+        return translate(this.locale, key, params, this.stringOverrides);
+    }
+
+    // Override individual UI strings for this quiz only, e.g. { 'quiz.checkScore': 'Submit' }
+    setStrings(strings) {
+        this.stringOverrides = { ...this.stringOverrides, ...strings };
+        this.refreshLocale();
+    }
+
+    setLocale(locale) {
+        if (locale === this.locale) return;
+        this.locale = locale;
+        this.refreshLocale();
+    }
+
+    // Public API for host pages. The methods below and the events sent through emit() are the
+    // supported way to drive the quiz from outside; everything else may change.
+
+    // Open the quiz as Start Quiz does. False while required student fields are missing or invalid.
+    start() {
+        return this.quizUnlocked || this.handleStartQuiz();
+    }
+
+    // Start a new attempt with a fresh draw of items, as Try Again does
+    reset() {
+        this.resetQuiz();
+    }
+
+    // Grade the attempt as Check My Score does, even with items unanswered, then send the score.
+    // Returns getResults(), or null before the quiz has started. A graded attempt is not regraded.
+    submit() {
+        if (!this.quizUnlocked || !this.validateStudentInfoFields({ showAlert: true })) return null;
+        if (!this.results) this.showFinalScore();
+        return this.getResults();
+    }
+
+    // Snapshot of the attempt: where it is, who is taking it and the answers so far
+    getState() {
+        return {
+            started: this.quizUnlocked,
+            scored: !!this.results,
+            submitted: this.scoreSubmitted,
+            queued: !!this.queuedSubmissionId,
+            student: this.getStudentInfo(),
+            progress: this.getProgress(),
+            answers: JSON.parse(JSON.stringify({
+                vocab: this.vocabUserChoices,
+                cloze: this.clozeAnswers,
+                order: this.orderAnswers,
+                questions: this.userQuestionAnswers
+            })),
+            locale: this.locale,
+            quizVersion: this.ast ? this.ast.sourceHash : ''
+        };
+    }
+
+    // The graded attempt (score, pass/fail, subtotals, items, ...), or null until it is checked
+    getResults() {
+        return this.results ? JSON.parse(JSON.stringify(this.results)) : null;
+    }
+
+    // Fill student fields by key, e.g. { nickname: 'Jo', studentId: '12' }, for hosts that already
+    // know the student. Returns whether every field is now filled in correctly. The identity is
+    // fixed once the quiz has started (false, nothing changes), and fields the LMS filled in
+    // (read-only) are left as they are.
+    setStudent(values = {}) {
+        if (this.quizUnlocked) {
+            console.warn('setStudent: the quiz has already started; student details can no longer change');
+            return false;
+        }
+        const inputs = this.getStudentInputs();
+        Object.entries(values).forEach(([key, value]) => {
+            const input = inputs.find(candidate => candidate.dataset.studentField === key);
+            if (!input) {
+                console.warn(`setStudent: this quiz has no "${key}" field`);
+                return;
+            }
+            if (input.readOnly) {
+                console.warn(`setStudent: "${key}" was filled in by the LMS and was left as it is`);
+                return;
+            }
+            input.value = value === null || value === undefined ? '' : String(value);
+            input.classList.remove('invalid');
+        });
+        this.offerResume();
+        return this.isStudentInfoComplete();
+    }
+
+    // Lifecycle events (quiz-ready, quiz-start, answer-change, quiz-scored, submission-success,
+    // submission-error) bubble out of the shadow root, so a listener on any ancestor hears them
+    emit(name, detail) {
+        this.dispatchEvent(new CustomEvent(name, { bubbles: true, composed: true, detail }));
+    }
+
+    emitReady(reason) {
+        this.emit('quiz-ready', {
+            reason,
+            title: this.title,
+            quizVersion: this.ast ? this.ast.sourceHash : '',
+            studentFields: this.studentFields.map(field => field.key),
+            progress: this.getProgress()
+        });
+    }
+
+    emitAnswerChange(section, item, response) {
+        if (this.restoring) return;
+        this.emit('answer-change', { section, item, response, progress: this.getProgress() });
+        this.saveAttempt();
+    }
+
+    // Items answered so far out of all items (vocabulary words, blanks, order sections, questions)
+    getProgress() {
+        const clozeTotal = this.clozeSections.reduce((total, section) => total + section.words.length, 0);
+        const answered = Object.keys(this.vocabUserChoices).length
+            + Object.values(this.clozeAnswers).filter(value => value.length > 0).length
+            + this.orderSections.filter(section => this.orderAnswers[section.sectionId]).length
+            + Object.keys(this.userQuestionAnswers).length;
+        const total = this.getTotalVocabWords() + clozeTotal + this.orderSections.length + this.totalQuestions;
+        return { answered, total, complete: answered === total };
+    }
+
+    // Re-render the UI text after the locale or strings change. The quiz itself is only rebuilt
+    // before the student starts, so answers in progress are never lost.
+    refreshLocale() {
+        if (!this.shadowRoot || !this.shadowRoot.getElementById('quizForm')) return;
+        this.localizeTemplate();
+        this._updateVoiceList();
+        this.updateOutboxStatus();
+        this.renderResumePrompt();
+        if (this.ast) this.renderDiagnostics();
+        if (this.ast && !this.quizUnlocked) {
+            const headerAudio = this.shadowRoot.querySelector('.audio-toggle-container');
+            if (headerAudio) headerAudio.remove();
+            this.generateQuiz();
+        }
+    }
+
+    // Fill the static template from the locale: `data-i18n` sets the text, `data-i18n-title` the
+    // tooltip and accessible name
+    localizeTemplate() {
+        if (!this.shadowRoot) return;
+        this.shadowRoot.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+        this.shadowRoot.querySelectorAll('[data-i18n-title]').forEach(el => {
+            const text = this.t(el.dataset.i18nTitle);
+            if (el.hasAttribute('title')) el.title = text;
+            if (el.hasAttribute('aria-label')) el.setAttribute('aria-label', text);
+        });
+        if (this.ttsSession) this.setTtsIcon(this.ttsSession, this.ttsPaused ? 'paused' : 'playing');
+    }
+
+    formatNumber(value, options = {}) {
+        try {
+            return new Intl.NumberFormat(this.locale, options).format(value);
+        } catch (e) {
+            return String(value);
+        }
+    }
+
+    formatDateTime(date) {
+        const options = { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' };
+        try {
+            return new Intl.DateTimeFormat(this.locale, options).format(date);
+        } catch (e) {
+            return date.toLocaleString(DEFAULT_LOCALE, options);
+        }
+    }
+
     _getBestVoice(lang = "en-US") {
         if (!window.speechSynthesis) return null;
         const voices = window.speechSynthesis.getVoices();
@@ -163,38 +437,87 @@ class TjQuizElement extends HTMLElement {
         return nonRobotic || langVoices[0];
     }
 
+    // One group of voices per language the quiz uses (headings only when there is more than one)
     _updateVoiceList() {
         if (!window.speechSynthesis) return;
         const voices = window.speechSynthesis.getVoices();
         const voiceList = this.shadowRoot.querySelector('.voice-list');
         if (!voiceList) return;
 
-        const lang = "en-US";
-        const langVoices = voices.filter(v => v.lang.split(/[-_]/)[0].toLowerCase() === lang.split('-')[0]);
-        const bestVoice = this._getBestVoice(lang);
-
         voiceList.innerHTML = '';
-        langVoices.sort((a, b) => a.name.localeCompare(b.name));
+        const languages = this.getQuizLanguages();
+        languages.forEach(lang => {
+            const langPrefix = lang.split(/[-_]/)[0].toLowerCase();
+            const langVoices = voices.filter(v => v.lang.split(/[-_]/)[0].toLowerCase() === langPrefix);
+            const bestVoice = this._getBestVoice(lang);
+            langVoices.sort((a, b) => a.name.localeCompare(b.name));
+
+            if (languages.length > 1) {
+                const groupTitle = document.createElement('div');
+                groupTitle.className = 'voice-group-title';
+                groupTitle.textContent = this.getLanguageName(lang);
+                voiceList.appendChild(groupTitle);
+                if (langVoices.length === 0) {
+                    const none = document.createElement('p');
+                    none.className = 'voice-group-empty';
+                    none.textContent = this.t('voice.none');
+                    voiceList.appendChild(none);
+                }
+            }
 
-        langVoices.forEach(voice => {
-            const btn = document.createElement('button');
-            btn.type = 'button';
-            btn.classList.add('voice-option-btn');
-            if (this.selectedVoiceName === voice.name) btn.classList.add('active');
+            langVoices.forEach(voice => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.classList.add('voice-option-btn');
+                if (this.selectedVoices[lang] === voice.name) btn.classList.add('active');
 
-            let innerHTML = `<span>${voice.name}</span>`;
-            if (bestVoice && voice.name === bestVoice.name) {
-                innerHTML += `<span class="badge">Best</span>`;
-            }
-            btn.innerHTML = innerHTML;
+                let innerHTML = `<span>${escapeHtml(voice.name)}</span>`;
+                if (bestVoice && voice.name === bestVoice.name) {
+                    innerHTML += `<span class="badge">${escapeHtml(this.t('voice.best'))}</span>`;
+                }
+                btn.innerHTML = innerHTML;
+
+                btn.onclick = () => {
+                    this.selectedVoices[lang] = voice.name;
+                    this.saveTtsPreferences(lang);
+                    this._updateVoiceList();
+                    // With several languages, keep the overlay open to pick the others
+                    if (languages.length === 1) this._hideVoiceOverlay();
+                };
+                voiceList.appendChild(btn);
+            });
+        });
+    }
 
-            btn.onclick = () => {
-                this.selectedVoiceName = voice.name;
-                this._updateVoiceList();
-                this._hideVoiceOverlay();
-            };
-            voiceList.appendChild(btn);
+    // The element's language first, then every `lang=` used by a section
+    getQuizLanguages() {
+        const languages = [this.ttsLang];
+        (this.orderedSections || []).forEach(sec => {
+            if (sec.lang && !languages.some(lang => lang.toLowerCase() === sec.lang.toLowerCase())) {
+                languages.push(sec.lang);
+            }
         });
+        return languages;
+    }
+
+    getLanguageName(lang) {
+        try {
+            const names = new Intl.DisplayNames([this.locale, DEFAULT_LOCALE], { type: 'language' });
+            return `${names.of(lang)} (${lang})`;
+        } catch (e) {
+            return lang;
+        }
+    }
+
+    // Language TTS uses for an item: the nearest `lang` in the rendered quiz, else the element's
+    getSpeechLang(element) {
+        const tagged = element ? element.closest('[lang]') : null;
+        return tagged && tagged.lang ? tagged.lang : this.ttsLang;
+    }
+
+    getVoiceFor(lang) {
+        const voices = window.speechSynthesis.getVoices();
+        return voices.find(v => v.name === this.selectedVoices[lang]) || this._getBestVoice(lang);
     }
 
     _showVoiceOverlay() {
@@ -225,102 +548,40 @@ class TjQuizElement extends HTMLElement {
         const content = this.originalContent || this.textContent;
         console.log('Parsing content:', content.substring(0, 200) + '...');
 
-        // Split content by --- sections
-        const sections = content.split('---').map(s => s.trim());
-
-        if (sections.length >= 1) {
-            // First section is the title (first line)
-            const titleSection = sections[0].trim();
-            const lines = titleSection.split('\n').map(l => l.trim()).filter(l => l.length > 0);
-
-            if (lines.length > 0) {
-                this.title = lines[0]; // First line is title
-            }
-        }
-
-        // Parse each labeled section. Support multiple text sections and associate subsequent questions with the most recent text.
-        let lastSectionType = null;
-        let lastTextSectionId = null;
-        for (let i = 1; i < sections.length; i++) {
-            const section = sections[i];
-            // Preserve original line breaks in the section body. We only trim the header line.
-            const rawLines = section.split('\n');
-            if (rawLines.length === 0) continue;
-
-            const originalHeader = (rawLines[0] || '').trim();
-            const sectionHeader = originalHeader.toLowerCase();
-            // Join the remaining lines exactly as they were (preserve blank lines/newlines)
-            const sectionContent = rawLines.slice(1).join('\n');
-
-            // Check for numbered sections like vocab-5 or questions-3
-            if (sectionHeader.startsWith('vocab')) {
-                const match = sectionHeader.match(/vocab(?:-(\d+))?/);
-                const vocabCount = match && match[1] ? parseInt(match[1]) : null;
-                this.parseVocabulary(sectionContent, vocabCount);
-                this.orderedSections.push({ type: 'vocab', data: { vocabCount } });
-                lastSectionType = 'vocab';
-            } else if (sectionHeader.startsWith('cloze')) {
-                const match = sectionHeader.match(/cloze(?:-(\d+))?/);
-                const clozeCount = match && match[1] ? parseInt(match[1]) : null;
-                this.parseCloze(sectionContent, clozeCount);
-                this.orderedSections.push({ type: 'cloze', data: { clozeCount, text: sectionContent } });
-                lastSectionType = 'cloze';
-            } else if (sectionHeader.startsWith('instructions')) {
-                const instructionId = this.passages.length;
-                const { heading, body } = this.extractHeadingAndBody(sectionContent, `Instructions ${this.instructions.length + 1}`);
-                this.instructions.push({ sectionId: instructionId, heading, body });
-                this.passages.push({ text: body || heading, sectionId: instructionId, listening: false, isInstruction: true });
-                this.orderedSections.push({ type: 'instructions', sectionId: instructionId, heading, body });
-                lastTextSectionId = instructionId;
-                lastSectionType = 'instructions';
-            } else if (sectionHeader.startsWith('questions')) {
-                const match = sectionHeader.match(/questions(?:-(\d+))?/);
-                const questionCount = match && match[1] ? parseInt(match[1]) : null;
-                // parseQuestions returns the full parsed bank (no truncation here)
-                const parsedQuestions = this.parseQuestions(sectionContent);
-
-                // Determine if these questions should be "tied" to the passage (embedded inside its card)
-                // or rendered as a standalone section. We tie them if they immediately follow a text/instruction 
-                // section or follow another questions section that was tied.
-                const isTied = (lastSectionType === 'text' || lastSectionType === 'instructions' || (lastSectionType === 'questions' && this.orderedSections.length > 0 && this.orderedSections[this.orderedSections.length - 1].tiedToPassage));
-
-                if (lastTextSectionId !== null) {
-                    this.questionGroups.push({ sectionId: lastTextSectionId, questions: parsedQuestions, maxQuestions: questionCount });
-                    this.orderedSections.push({ type: 'questions', sectionId: lastTextSectionId, questions: parsedQuestions, maxQuestions: questionCount, tiedToPassage: isTied });
-                } else {
-                    // Global questions (not tied to a text section)
-                    this.questionGroups.push({ sectionId: null, questions: parsedQuestions, maxQuestions: questionCount });
-                    this.orderedSections.push({ type: 'questions', sectionId: null, questions: parsedQuestions, maxQuestions: questionCount, tiedToPassage: false });
-                }
-                lastSectionType = 'questions';
-            } else {
-                switch (sectionHeader) {
-                    case 'text':
-                    case 'text-listening':
-                        // Support multiple text sections, including listening-only sections
-                        const isListening = sectionHeader === 'text-listening';
-                        const newSectionId = this.passages.length;
-                        this.passages.push({ text: sectionContent, sectionId: newSectionId, listening: isListening });
-                        // Update single-passage fallback for older code paths
-                        this.passage = sectionContent;
-                        lastTextSectionId = newSectionId;
-                        this.orderedSections.push({ type: 'text', sectionId: newSectionId, text: sectionContent, listening: isListening });
-                        lastSectionType = 'text';
-                        break;
-                    case 'audio':
-                        this.parseAudio(sectionContent);
-                        this.orderedSections.push({ type: 'audio', audioSrc: this.audioSrc });
-                        lastSectionType = 'audio';
-                        break;
-                    default:
-                        lastSectionType = null;
-                }
-            }
+        // The quiz-parser module owns the section grammar; the element only applies
+        // per-attempt choices (random -N subsets) and copies the result into its state.
+        const ast = parseQuiz(content);
+        this.ast = ast;
+        this.title = ast.title;
+        this.passages = ast.passages;
+        this.instructions = ast.sections
+            .filter(sec => sec.type === 'instructions')
+            .map(({ sectionId, heading, body }) => ({ sectionId, heading, body }));
+        this.questionGroups = ast.questionGroups;
+        this.orderedSections = ast.sections;
+        this.audioSrc = ast.audioSrc;
+        this.audioCues = ast.audioCues;
+        this.audioCuesSrc = ast.audioCuesSrc;
+        this.studentGate = ast.student ? ast.student.gate : true;
+        if (!this.studentGate) {
+            this.studentFields = [];
+        } else {
+            this.studentFields = ast.student && ast.student.fields.length > 0 ? ast.student.fields : this.defaultStudentFields();
         }
 
+        // Single-passage fallback for older code paths (last text section wins)
+        const textSections = ast.sections.filter(sec => sec.type === 'text');
+        this.passage = textSections.length > 0 ? textSections[textSections.length - 1].text : '';
+
+        this.orderSections = ast.orderSections;
+        this.selectSections();
+
         // Update the rendered content title if found
         if (this.title) {
-            this.shadowRoot.getElementById('quizTitle').textContent = this.title;
+            const quizTitle = this.shadowRoot.getElementById('quizTitle');
+            quizTitle.textContent = this.title;
+            // The quiz's own title is not a UI string
+            quizTitle.removeAttribute('data-i18n');
         }
 
         const totalQuestionsParsed = this.questionGroups.reduce((sum, g) => sum + (g.questions ? g.questions.length : 0), 0);
@@ -335,160 +596,122 @@ class TjQuizElement extends HTMLElement {
         });
     }
 
-    parseVocabulary(vocabSection, maxWords = null) {
-        if (!vocabSection) return;
-
-        // Parse vocabulary. Prefer newline-separated pairs (one per line):
-        // Word: Definition
-        // If no newlines are present, fall back to comma-separated pairs.
-        const lines = vocabSection.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
-
-        // Candidate raw pairs: prefer line-splitting, otherwise treat the whole
-        // block as a single candidate (legacy single-line comma-separated).
-        const candidatePairs = lines.length > 0 ? lines.slice() : [vocabSection.trim()];
+    // Surface parser diagnostics: console, quiz-diagnostics event and (in author mode) the panel
+    reportDiagnostics() {
+        const diagnostics = this.ast ? this.ast.diagnostics : [];
+        diagnostics.forEach(d => {
+            console.warn(`Quiz ${d.severity} (line ${d.line}): ${d.message}`);
+        });
 
-        // Helper to parse raw pairs into a vocab map
-        const parsePairsToMap = (pairs) => {
-            const m = {};
-            pairs.forEach(pair => {
-                const idx = pair.indexOf(':');
-                if (idx === -1) return;
-                const word = pair.slice(0, idx).trim();
-                const definition = pair.slice(idx + 1).trim().replace(/,$/, '');
-                if (word && definition) m[word] = definition;
-            });
-            return m;
-        };
+        this.dispatchEvent(new CustomEvent('quiz-diagnostics', {
+            bubbles: true,
+            composed: true,
+            detail: {
+                diagnostics,
+                errorCount: diagnostics.filter(d => d.severity === 'error').length,
+                warningCount: diagnostics.filter(d => d.severity === 'warning').length
+            }
+        }));
 
-        // First parse using candidate pairs
-        let allVocab = parsePairsToMap(candidatePairs);
+        this.renderDiagnostics();
+    }
 
-        // If we only found one (or zero) vocab entry from line-splitting AND the
-        // original block contains commas, assume the author used comma-separated
-        // pairs on a single line and reparse using comma-splitting.
-        if (Object.keys(allVocab).length <= 1 && vocabSection.indexOf(',') !== -1) {
-            const commaPairs = vocabSection.split(',').map(p => p.trim()).filter(Boolean);
-            allVocab = parsePairsToMap(commaPairs);
-        }
+    // Author mode panel listing parse errors/warnings with their source line
+    renderDiagnostics() {
+        const panel = this.shadowRoot.getElementById('diagnosticsPanel');
+        if (!panel) return;
 
-        let finalVocab;
-        // If maxWords is specified, randomly select that many words
-        if (maxWords && Object.keys(allVocab).length > maxWords) {
-            const vocabEntries = Object.entries(allVocab);
-            this.shuffleArray(vocabEntries);
-            const selectedEntries = vocabEntries.slice(0, maxWords);
-            finalVocab = Object.fromEntries(selectedEntries);
-        } else {
-            finalVocab = allVocab;
+        const diagnostics = this.ast ? this.ast.diagnostics : [];
+        if (!this.hasAttribute('author-mode')) {
+            panel.classList.add('hidden');
+            return;
         }
 
-        // Add this vocabulary section to the array
-        this.vocabularySections.push({
-            vocabulary: finalVocab,
-            sectionId: this.vocabularySections.length
-        });
-
-        console.log('Vocabulary section parsed. Words in this section:', Object.keys(finalVocab).length, 'Max words:', maxWords);
-    }
-
-    parseAudio(audioSection) {
-        if (!audioSection) return;
+        panel.innerHTML = '';
+        panel.classList.remove('hidden');
 
-        // Look for audio-src = URL
-        const audioMatch = audioSection.match(/audio-src\s*=\s*(.+)/);
-        if (audioMatch) {
-            this.audioSrc = audioMatch[1].trim();
+        const header = document.createElement('div');
+        header.className = 'section-card-header';
+        const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+        const warningCount = diagnostics.length - errorCount;
+        header.textContent = this.t('diagnostics.title', { errors: errorCount, warnings: warningCount });
+        panel.appendChild(header);
+
+        if (diagnostics.length === 0) {
+            const ok = document.createElement('p');
+            ok.className = 'diagnostics-ok';
+            ok.textContent = this.t('diagnostics.none');
+            panel.appendChild(ok);
+            return;
         }
-    }
 
-    parseCloze(clozeSection, maxBlanks = null) {
-        if (!clozeSection) return;
+        const list = document.createElement('ul');
+        list.className = 'diagnostics-list';
+        diagnostics.forEach(d => {
+            const item = document.createElement('li');
+            item.className = `diagnostic diagnostic-${d.severity}`;
 
-        // Extract words marked with asterisks
-        const asteriskMatches = clozeSection.match(/\*([^*]+)\*/g);
-        let clozeWords = [];
-        if (asteriskMatches) {
-            clozeWords = asteriskMatches.map(match => match.replace(/\*/g, ''));
+            const location = document.createElement('span');
+            location.className = 'diagnostic-line';
+            location.textContent = this.t('diagnostics.line', { line: d.line });
+            item.appendChild(location);
 
-            // If maxBlanks is specified, randomly select that many words to remove
-            if (maxBlanks && clozeWords.length > maxBlanks) {
-                this.shuffleArray(clozeWords);
-                clozeWords = clozeWords.slice(0, maxBlanks);
-            }
-        }
+            const message = document.createElement('span');
+            message.className = 'diagnostic-message';
+            message.textContent = d.message;
+            item.appendChild(message);
 
-        // Add this cloze section to the array
-        this.clozeSections.push({
-            text: clozeSection,
-            words: clozeWords,
-            sectionId: this.clozeSections.length
+            list.appendChild(item);
         });
-
-        console.log('Cloze section parsed. Total words available:', asteriskMatches ? asteriskMatches.length : 0, 'Words to remove:', clozeWords.length, 'Max blanks:', maxBlanks);
+        panel.appendChild(list);
     }
 
-    parseQuestions(questionsSection, maxQuestions = null) {
-        if (!questionsSection) return [];
-
-        const lines = questionsSection.split('\n').map(l => l.trim()).filter(l => l.length > 0);
-        let currentQuestion = null;
-        const tempQuestionBank = [];
-
-        for (const line of lines) {
-            if (line.startsWith('Q:') || line.startsWith('Q.')) {
-                // New question
-                if (currentQuestion) {
-                    tempQuestionBank.push(currentQuestion);
-                }
-                currentQuestion = {
-                    q: line.substring(2).trim(),
-                    o: [],
-                    a: '',
-                    e: '' // explanation
-                };
-            } else if (line.startsWith('A:') && currentQuestion) {
-                // Answer option
-                const answerText = line.substring(2).trim();
-                const isCorrect = answerText.includes('[correct]');
-                const cleanAnswer = answerText.replace('[correct]', '').trim();
-
-                currentQuestion.o.push(cleanAnswer);
-                if (isCorrect) {
-                    currentQuestion.a = cleanAnswer;
-                }
-            } else if (line.startsWith('E:') && currentQuestion) {
-                // Explanation
-                currentQuestion.e = line.substring(2).trim();
-            }
-        }
+    // Draw this attempt's vocabulary words and cloze blanks from the -N pools
+    selectSections() {
+        const ast = this.ast;
+        this.draw = { selection: [], quiz: [] };
+        this.drawTarget = this.draw.selection;
+        this.vocabularySections = ast.vocabularySections.map(sec => ({
+            vocabulary: this.selectVocabulary(sec.vocabulary, sec.maxWords),
+            sectionId: sec.sectionId,
+            mode: sec.mode,
+            lang: sec.lang
+        }));
+        this.clozeSections = ast.clozeSections.map(sec => {
+            const blanks = this.selectClozeBlanks(sec.blanks, sec.maxBlanks);
+            return {
+                text: sec.text,
+                blanks,
+                words: blanks.map(blank => blank.answers[0]),
+                distractors: sec.distractors,
+                mode: sec.mode,
+                sectionId: sec.sectionId,
+                match: sec.match,
+                almost: sec.almost,
+                lang: sec.lang
+            };
+        });
+        this.drawTarget = null;
+    }
 
-        // Don't forget the last question
-        if (currentQuestion) {
-            tempQuestionBank.push(currentQuestion);
+    // Randomly select maxWords entries from a parsed vocab map
+    selectVocabulary(vocabulary, maxWords = null) {
+        if (!maxWords || Object.keys(vocabulary).length <= maxWords) {
+            return { ...vocabulary };
         }
-
-        // Always return the full parsed question bank here. Selection of a subset
-        // for a single try is done during generateQuiz so --questions-N applies per try.
-        console.log('Questions parsed. Total questions parsed:', tempQuestionBank.length, 'Max questions (deferred):', maxQuestions);
-        return tempQuestionBank;
+        const vocabEntries = Object.entries(vocabulary);
+        this.shuffleArray(vocabEntries);
+        return Object.fromEntries(vocabEntries.slice(0, maxWords));
     }
 
-    extractHeadingAndBody(text, fallbackHeading = 'Instructions') {
-        const lines = (text || '').split('\n');
-        let heading = '';
-        const bodyLines = [];
-
-        for (const line of lines) {
-            if (!heading && line.trim().length > 0) {
-                heading = line.trim();
-            } else {
-                bodyLines.push(line);
-            }
+    // Randomly select maxBlanks of the starred words to remove
+    selectClozeBlanks(blanks, maxBlanks = null) {
+        const clozeWords = [...blanks];
+        if (maxBlanks && clozeWords.length > maxBlanks) {
+            this.shuffleArray(clozeWords);
+            return clozeWords.slice(0, maxBlanks);
         }
-
-        if (!heading) heading = fallbackHeading;
-        const body = bodyLines.join('\n').trim();
-        return { heading, body };
+        return clozeWords;
     }
 
     generateVocabMatching() {
@@ -517,7 +740,7 @@ class TjQuizElement extends HTMLElement {
             if (this.vocabularySections.length > 1) {
                 const sectionHeader = document.createElement('div');
                 sectionHeader.className = 'vocab-section-header';
-                sectionHeader.innerHTML = `<h4>Vocabulary Set ${sectionIndex + 1}</h4>`;
+                sectionHeader.innerHTML = `<h4>${escapeHtml(this.t('vocab.headingNumbered', { number: sectionIndex + 1 }))}</h4>`;
                 vocabGrid.appendChild(sectionHeader);
             }
 
@@ -538,7 +761,7 @@ class TjQuizElement extends HTMLElement {
             // Word column header
             const wordHeaderCell = document.createElement('div');
             wordHeaderCell.className = 'vocab-grid-header-cell';
-            wordHeaderCell.textContent = 'Word';
+            wordHeaderCell.textContent = this.t('vocab.word');
             headerRow.appendChild(wordHeaderCell);
 
             // Definition header cells
@@ -645,7 +868,7 @@ class TjQuizElement extends HTMLElement {
             if (this.clozeSections.length > 1) {
                 const sectionHeader = document.createElement('h4');
                 sectionHeader.className = 'cloze-section-header';
-                sectionHeader.textContent = `Fill in the Blanks - Section ${sectionIndex + 1}`;
+                sectionHeader.textContent = this.t('cloze.headingNumbered', { number: sectionIndex + 1 });
                 sectionWrapper.appendChild(sectionHeader);
             }
 
@@ -653,7 +876,7 @@ class TjQuizElement extends HTMLElement {
             const wordBank = document.createElement('div');
             wordBank.className = 'cloze-word-bank';
             wordBank.innerHTML = `
-                <div class="cloze-bank-title">Word Bank</div>
+                <div class="cloze-bank-title">${escapeHtml(this.t('wordBank'))}</div>
                 <div class="cloze-bank-words">
                     ${words.map(word => `<span class="cloze-bank-word">${word}</span>`).join('')}
                 </div>
@@ -697,9 +920,10 @@ class TjQuizElement extends HTMLElement {
     renderVocabInline(vocabData, targetContainer, displayIndex) {
         const { vocabulary, sectionId } = vocabData;
         const totalSets = this.vocabularySections.length;
-        const heading = totalSets > 1 ? `Vocabulary Set ${displayIndex + 1}` : 'Vocabulary';
+        const heading = totalSets > 1 ? this.t('vocab.headingNumbered', { number: displayIndex + 1 }) : this.t('vocab.heading');
         const { card, content } = this.createSectionCard(heading, {
-            cardClasses: ['vocab-card']
+            cardClasses: ['vocab-card'],
+            lang: vocabData.lang
         });
 
         const words = Object.keys(vocabulary);
@@ -710,13 +934,19 @@ class TjQuizElement extends HTMLElement {
             definition: vocabulary[word]
         }));
 
+        if (vocabData.mode === 'drag') {
+            this.renderVocabDragMatching(vocabData, wordMap, content);
+            targetContainer.appendChild(card);
+            return;
+        }
+
         // Word Bank
         const bank = document.createElement('div');
         bank.className = 'vocab-word-bank';
         bank.innerHTML = `
-            <div class="vocab-bank-title">Word Bank</div>
+            <div class="vocab-bank-title">${escapeHtml(this.t('wordBank'))}</div>
             <div class="vocab-bank-items">
-                ${wordMap.map(item => `<span class="vocab-bank-item">${item.letter}: ${item.word.toUpperCase()}</span>`).join('')}
+                ${wordMap.map(item => `<span class="vocab-bank-item">${item.letter}: ${escapeHtml(item.word.toUpperCase())}</span>`).join('')}
             </div>
         `;
         content.appendChild(bank);
@@ -747,14 +977,14 @@ class TjQuizElement extends HTMLElement {
             input.setAttribute('autocorrect', 'off');
             input.setAttribute('spellcheck', 'false');
             input.inputMode = 'text';
-            input.title = 'Enter the letter for this definition';
+            input.title = this.t('vocab.letterInput');
 
             inputGroup.appendChild(input);
             row.appendChild(inputGroup);
 
             const defText = document.createElement('div');
             defText.className = 'vocab-definition-text';
-            defText.textContent = item.definition;
+            defText.innerHTML = this.richText(item.definition);
             row.appendChild(defText);
 
             matchingContainer.appendChild(row);
@@ -764,45 +994,370 @@ class TjQuizElement extends HTMLElement {
         targetContainer.appendChild(card);
     }
 
+    // mode=drag: students drag (or tap, then tap a slot) word chips onto the definitions.
+    // Each slot is a .vocab-matching-input button so showVocabScore grades it like a typed letter.
+    renderVocabDragMatching(vocabData, wordMap, content) {
+        const { sectionId } = vocabData;
+
+        const bank = document.createElement('div');
+        bank.className = 'vocab-word-bank';
+        bank.innerHTML = `
+            <div class="vocab-bank-title">${escapeHtml(this.t('wordBank'))}</div>
+            <div class="vocab-bank-items"></div>
+        `;
+        const bankItems = bank.querySelector('.vocab-bank-items');
+        wordMap.forEach(item => {
+            bankItems.appendChild(this.createWordChip(item.word, item.letter, 'vocab-bank-item'));
+        });
+        content.appendChild(bank);
+
+        const matchingContainer = document.createElement('div');
+        matchingContainer.className = 'vocab-matching-container';
+
+        const shuffledItems = [...wordMap];
+        this.shuffleArray(shuffledItems);
+
+        shuffledItems.forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'vocab-matching-row';
+
+            const slot = document.createElement('button');
+            slot.type = 'button';
+            slot.className = 'vocab-matching-input vocab-drop-slot';
+            slot.dataset.sectionId = sectionId;
+            slot.dataset.word = item.word;
+            slot.dataset.correctLetter = item.letter;
+            slot.dataset.correctLabel = item.word;
+            slot.title = this.t('dragSlot.title');
+            slot.setAttribute('aria-label', this.t('vocab.dropFor', { definition: item.definition }));
+            row.appendChild(slot);
+
+            const defText = document.createElement('div');
+            defText.className = 'vocab-definition-text';
+            defText.innerHTML = this.richText(item.definition);
+            row.appendChild(defText);
+
+            matchingContainer.appendChild(row);
+        });
+        content.appendChild(matchingContainer);
+
+        this.bindChipSlots(bankItems, matchingContainer, '.vocab-drop-slot', (slot, chip) => {
+            const key = `${sectionId}-${slot.dataset.word}`;
+            if (chip) {
+                this.vocabUserChoices[key] = chip.dataset.chipKey;
+            } else {
+                delete this.vocabUserChoices[key];
+            }
+            this.updateCheckScoreButtonState();
+            this.emitAnswerChange('vocab', key, chip ? chip.dataset.chipKey : '');
+        });
+    }
+
+    createWordChip(text, key, extraClass = '') {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = `${extraClass} word-chip`.trim();
+        chip.draggable = true;
+        chip.dataset.chipKey = key;
+        chip.textContent = text;
+        chip.setAttribute('aria-pressed', 'false');
+        return chip;
+    }
+
+    // Tap-or-drag wiring shared by vocab and cloze mode=drag. Chips (see createWordChip) live in
+    // bankItems; slots are buttons inside slotContainer matching slotSelector. A chip sits in at most
+    // one slot, and onPlace(slot, chip) runs after every change (chip is null when a slot is emptied).
+    bindChipSlots(bankItems, slotContainer, slotSelector, onPlace) {
+        let selectedChip = null;
+
+        const chipFor = (key) => bankItems.querySelector(`.word-chip[data-chip-key="${key}"]`);
+
+        const selectChip = (chip) => {
+            if (selectedChip) {
+                selectedChip.classList.remove('selected');
+                selectedChip.setAttribute('aria-pressed', 'false');
+            }
+            selectedChip = chip;
+            if (chip) {
+                chip.classList.add('selected');
+                chip.setAttribute('aria-pressed', 'true');
+            }
+            slotContainer.classList.toggle('awaiting-drop', !!chip);
+        };
+
+        // Put a chip into a slot (or clear the slot when key is null), returning any previous chip to the bank
+        const placeChip = (slot, key) => {
+            const previous = slot.dataset.placedKey;
+            if (previous) {
+                const previousChip = chipFor(previous);
+                if (previousChip) {
+                    previousChip.classList.remove('used');
+                    previousChip.disabled = false;
+                }
+            }
+            const chip = key ? chipFor(key) : null;
+            if (chip) {
+                slotContainer.querySelectorAll(`${slotSelector}[data-placed-key="${key}"]`).forEach(other => {
+                    if (other !== slot) placeChip(other, null);
+                });
+                slot.dataset.placedKey = key;
+                slot.textContent = chip.textContent;
+                slot.classList.add('filled');
+                chip.classList.add('used');
+                chip.disabled = true;
+            } else {
+                delete slot.dataset.placedKey;
+                slot.textContent = '';
+                slot.classList.remove('filled');
+            }
+            onPlace(slot, chip);
+        };
+
+        bankItems.addEventListener('click', (e) => {
+            const chip = e.target.closest('.word-chip');
+            if (!chip || chip.disabled) return;
+            selectChip(selectedChip === chip ? null : chip);
+        });
+
+        slotContainer.addEventListener('click', (e) => {
+            const slot = e.target.closest(slotSelector);
+            if (!slot || slot.disabled) return;
+            if (selectedChip) {
+                placeChip(slot, selectedChip.dataset.chipKey);
+                selectChip(null);
+            } else if (slot.dataset.placedKey) {
+                // Tapping a filled slot with nothing selected sends the word back to the bank
+                placeChip(slot, null);
+            }
+        });
+
+        bankItems.addEventListener('dragstart', (e) => {
+            const chip = e.target.closest('.word-chip');
+            if (!chip || chip.disabled) {
+                e.preventDefault();
+                return;
+            }
+            selectChip(chip);
+            if (e.dataTransfer) {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', chip.textContent);
+            }
+        });
+        bankItems.addEventListener('dragend', () => selectChip(null));
+
+        slotContainer.addEventListener('dragover', (e) => {
+            const slot = e.target.closest(slotSelector);
+            if (slot && !slot.disabled && selectedChip) e.preventDefault();
+        });
+        slotContainer.addEventListener('drop', (e) => {
+            const slot = e.target.closest(slotSelector);
+            if (!slot || slot.disabled || !selectedChip) return;
+            e.preventDefault();
+            placeChip(slot, selectedChip.dataset.chipKey);
+            selectChip(null);
+        });
+    }
+
     // Render a single cloze section inline into the target container
     renderClozeInline(clozeData, targetContainer, displayIndex) {
-        const { text, words, sectionId } = clozeData;
+        const { text, words, blanks, distractors, mode, sectionId } = clozeData;
         const heading = this.clozeSections.length > 1
-            ? `Fill in the Blanks - Section ${displayIndex + 1}`
-            : 'Fill in the Blanks';
+            ? this.t('cloze.headingNumbered', { number: displayIndex + 1 })
+            : this.t('cloze.heading');
         const { card, content } = this.createSectionCard(heading, {
-            cardClasses: ['cloze-card']
+            cardClasses: ['cloze-card'],
+            lang: clozeData.lang
         });
 
+        // Shuffle so the bank order doesn't give away the order of the blanks
+        const bankWords = [...words, ...distractors];
+        this.shuffleArray(bankWords);
+
         const wordBank = document.createElement('div');
         wordBank.className = 'cloze-word-bank';
         wordBank.innerHTML = `
-            <div class="cloze-bank-title">Word Bank</div>
-            <div class="cloze-bank-words">
-                ${words.map(word => `<span class="cloze-bank-word">${word}</span>`).join('')}
-            </div>
+            <div class="cloze-bank-title">${escapeHtml(this.t('wordBank'))}</div>
+            <div class="cloze-bank-words"></div>
         `;
-        content.appendChild(wordBank);
+        const bankItems = wordBank.querySelector('.cloze-bank-words');
+        bankWords.forEach((word, index) => {
+            if (mode === 'drag') {
+                bankItems.appendChild(this.createWordChip(word, index, 'cloze-bank-word'));
+            } else {
+                const span = document.createElement('span');
+                span.className = 'cloze-bank-word';
+                span.textContent = word;
+                bankItems.appendChild(span);
+            }
+        });
+        // In select mode the dropdowns already list the bank
+        if (mode !== 'select') content.appendChild(wordBank);
+
+        const selectOptions = [...new Set(bankWords)]
+            .map(word => `<option value="${escapeHtml(word)}">${escapeHtml(word)}</option>`)
+            .join('');
 
+        // Blanks are swapped for \u0001N\u0001 tokens so the surrounding text can go through the
+        // rich-text renderer (which escapes it) before the blank markup is put back
+        const blankHtml = [];
         let textWithBlanks = text;
         let blankIndex = 0;
-        words.forEach(word => {
-            const regex = new RegExp(`\\*${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\*`, 'gi');
+        blanks.forEach(blank => {
+            // Only the first occurrence: a repeated starred word is a separate blank in the pool
+            const regex = new RegExp(`(?<!\\*)\\*${blank.raw.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\*(?!\\*)`, 'i');
             textWithBlanks = textWithBlanks.replace(regex, () => {
-                const inputHtml = `<input type="text" class="cloze-blank" data-answer="${word.toLowerCase()}" data-section-id="${sectionId}" data-blank-index="${blankIndex}" autocomplete="off" spellcheck="false" inputmode="text" autocapitalize="none" autocorrect="off" title="Fill in the blank">`;
-                blankIndex++;
-                return inputHtml;
+                const answers = escapeHtml(blank.answers.join('|').toLowerCase());
+                const hintHtml = blank.hint
+                    ? `<button type="button" class="cloze-hint-toggle" title="${escapeHtml(this.t('cloze.showHint'))}" aria-label="${escapeHtml(this.t('cloze.showHint'))}" aria-expanded="false">?</button><span class="cloze-hint-text hidden">${escapeHtml(blank.hint)}</span>`
+                    : '';
+                const dataAttrs = `data-answer="${escapeHtml(blank.answers[0].toLowerCase())}" data-answers="${answers}" data-section-id="${sectionId}" data-blank-index="${blankIndex}"`;
+                let inputHtml;
+                if (mode === 'select') {
+                    inputHtml = `<select class="cloze-blank cloze-select" ${dataAttrs} title="${escapeHtml(this.t('cloze.chooseWord'))}" aria-label="${escapeHtml(this.t('cloze.blank', { number: blankIndex + 1 }))}"><option value="">…</option>${selectOptions}</select>`;
+                } else if (mode === 'drag') {
+                    inputHtml = `<button type="button" class="cloze-blank cloze-drop-slot" ${dataAttrs} value="" title="${escapeHtml(this.t('dragSlot.title'))}" aria-label="${escapeHtml(this.t('cloze.blank', { number: blankIndex + 1 }))}"></button>`;
+                } else {
+                    inputHtml = `<input type="text" class="cloze-blank" ${dataAttrs} autocomplete="off" spellcheck="false" inputmode="text" autocapitalize="none" autocorrect="off" title="${escapeHtml(this.t('cloze.fillIn'))}">`;
+                }
+                inputHtml += hintHtml;
+                blankHtml.push(inputHtml);
+                return `\u0001${blankIndex++}\u0001`;
             });
         });
-        textWithBlanks = textWithBlanks.replace(/\*([^*]+)\*/g, '$1');
-        textWithBlanks = this.addLineBreaksToHtml(textWithBlanks);
+        // Starred words not chosen as blanks show their first answer without alternates or hint
+        textWithBlanks = textWithBlanks.replace(/(?<!\*)\*([^*]+)\*(?!\*)/g, (match, raw) => {
+            const [parsed] = parseCloze(match);
+            return parsed ? parsed.answers[0] : raw;
+        });
         const textElement = document.createElement('div');
         textElement.className = 'cloze-text';
-        textElement.innerHTML = textWithBlanks;
+        textElement.innerHTML = this.richText(textWithBlanks)
+            .replace(/\u0001(\d+)\u0001/g, (match, index) => blankHtml[index]);
         content.appendChild(textElement);
+        if (mode === 'drag') {
+            this.bindChipSlots(bankItems, textElement, '.cloze-drop-slot', (slot, chip) => {
+                slot.value = chip ? chip.textContent : '';
+                this.recordClozeAnswer(slot);
+            });
+            content.appendChild(wordBank);
+        }
+        targetContainer.appendChild(card);
+    }
+
+    // Render a single order (sequencing) section inline into the target container
+    renderOrderInline(orderData, targetContainer, displayIndex) {
+        const { items, sectionId } = orderData;
+        const heading = this.orderSections.length > 1
+            ? this.t('order.headingNumbered', { number: displayIndex + 1 })
+            : this.t('order.heading');
+        const { card, content } = this.createSectionCard(heading, {
+            cardClasses: ['order-card'],
+            lang: orderData.lang
+        });
+
+        const instruction = document.createElement('p');
+        instruction.className = 'reading-instructions instruction';
+        instruction.textContent = this.t('order.instructions');
+        content.appendChild(instruction);
+
+        // Shuffle item indices, making sure the starting order is not already correct
+        const order = items.map((_, i) => i);
+        if (items.length > 1) {
+            let attempts = 0;
+            do {
+                this.shuffleArray(order);
+                attempts++;
+            } while (attempts < 10 && order.every((itemIndex, pos) => items[itemIndex] === items[pos]));
+            // Still correct after ten tries (likely with two items): move the first item to the end
+            if (order.every((itemIndex, pos) => items[itemIndex] === items[pos])) order.push(order.shift());
+        }
+        // Items that read the same in every order leave nothing to move, so the section starts answered
+        if (order.every((itemIndex, pos) => items[itemIndex] === items[pos])) {
+            this.orderAnswers[sectionId] = order.slice();
+        }
+
+        const list = document.createElement('ol');
+        list.className = 'order-list';
+        list.dataset.sectionId = sectionId;
+
+        order.forEach(itemIndex => {
+            const li = document.createElement('li');
+            li.className = 'order-item';
+            li.draggable = true;
+            li.dataset.itemIndex = itemIndex;
+
+            const text = document.createElement('span');
+            text.className = 'order-item-text';
+            text.textContent = items[itemIndex];
+            li.appendChild(text);
+
+            const controls = document.createElement('span');
+            controls.className = 'order-item-controls';
+            controls.innerHTML = `
+                <button type="button" class="order-move" data-direction="up" aria-label="${escapeHtml(this.t('order.moveUp'))}" title="${escapeHtml(this.t('order.moveUp'))}">▲</button>
+                <button type="button" class="order-move" data-direction="down" aria-label="${escapeHtml(this.t('order.moveDown'))}" title="${escapeHtml(this.t('order.moveDown'))}">▼</button>
+            `;
+            li.appendChild(controls);
+            list.appendChild(li);
+        });
+
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('.order-move');
+            if (!button || button.disabled) return;
+            const li = button.closest('.order-item');
+            if (button.dataset.direction === 'up' && li.previousElementSibling) {
+                list.insertBefore(li, li.previousElementSibling);
+            } else if (button.dataset.direction === 'down' && li.nextElementSibling) {
+                list.insertBefore(li.nextElementSibling, li);
+            }
+            // Keep keyboard focus on the button that moved with the item
+            button.focus();
+            this.handleOrderChange(list);
+        });
+
+        let draggedItem = null;
+        list.addEventListener('dragstart', (e) => {
+            draggedItem = e.target.closest('.order-item');
+            if (!draggedItem || this.orderSubmitted) {
+                e.preventDefault();
+                return;
+            }
+            draggedItem.classList.add('dragging');
+            if (e.dataTransfer) {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', draggedItem.dataset.itemIndex);
+            }
+        });
+        list.addEventListener('dragover', (e) => {
+            if (!draggedItem) return;
+            e.preventDefault();
+            const target = e.target.closest('.order-item');
+            if (!target || target === draggedItem) return;
+            // Drop before or after the hovered item depending on pointer position
+            const rect = target.getBoundingClientRect();
+            const after = e.clientY > rect.top + rect.height / 2;
+            list.insertBefore(draggedItem, after ? target.nextElementSibling : target);
+        });
+        list.addEventListener('drop', (e) => e.preventDefault());
+        list.addEventListener('dragend', () => {
+            if (!draggedItem) return;
+            draggedItem.classList.remove('dragging');
+            draggedItem = null;
+            this.handleOrderChange(list);
+        });
+
+        content.appendChild(list);
         targetContainer.appendChild(card);
     }
 
+    handleOrderChange(list) {
+        const sectionId = parseInt(list.dataset.sectionId);
+        this.orderAnswers[sectionId] = Array.from(list.querySelectorAll('.order-item'))
+            .map(li => parseInt(li.dataset.itemIndex));
+        this.updateCheckScoreButtonState();
+        this.emitAnswerChange('order', String(sectionId), this.orderAnswers[sectionId].slice());
+    }
+
     handleVocabAnswer(e) {
         const target = e.target;
         if (target.type === 'text' && target.classList.contains('vocab-matching-input')) {
@@ -824,53 +1379,71 @@ class TjQuizElement extends HTMLElement {
             }
 
             this.updateCheckScoreButtonState();
+            this.emitAnswerChange('vocab', key, value);
         }
     }
 
     updateCheckScoreButtonState() {
-        const vocabComplete = this.vocabularySections.length === 0 ||
-            Object.keys(this.vocabUserChoices).length === this.getTotalVocabWords();
+        const vocabComplete = this.checkAllVocabAnswered();
         const questionsComplete = this.totalQuestions === 0 || this.checkAllQuestionsAnswered();
         const clozeComplete = this.checkAllClozeAnswered();
+        const orderComplete = this.checkAllOrderAnswered();
 
-        if (vocabComplete && questionsComplete && clozeComplete) {
-            const checkScoreButton = this.shadowRoot.getElementById('checkScoreButton');
-            if (checkScoreButton) checkScoreButton.disabled = false;
+        // Emptying a drop slot or a blank can make the quiz incomplete again
+        const checkScoreButton = this.shadowRoot.getElementById('checkScoreButton');
+        if (checkScoreButton) {
+            checkScoreButton.disabled = !(vocabComplete && questionsComplete && clozeComplete && orderComplete);
         }
     }
 
     handleClozeAnswer(e) {
-        if (e.target.type !== 'text' || !e.target.classList.contains('cloze-blank')) return;
-
-        const input = e.target;
-        const sectionId = input.dataset.sectionId;
-        const blankIndex = input.dataset.blankIndex;
-        const userAnswer = input.value.trim().toLowerCase();
+        if (!e.target.classList || !e.target.classList.contains('cloze-blank')) return;
+        this.recordClozeAnswer(e.target);
+    }
 
-        // Store the user's answer with section-blank key
-        const key = `${sectionId}-${blankIndex}`;
-        this.clozeAnswers[key] = userAnswer;
+    // Store a blank's current value (text box, dropdown or drop slot) with a section-blank key
+    recordClozeAnswer(blank) {
+        const key = `${blank.dataset.sectionId}-${blank.dataset.blankIndex}`;
+        this.clozeAnswers[key] = blank.value.trim().toLowerCase();
+        this.updateCheckScoreButtonState();
+        this.emitAnswerChange('cloze', key, blank.value.trim());
+    }
 
-        // Check if all cloze blanks are filled
-        if (this.checkAllClozeAnswered()) {
-            // Check if all sections are complete to enable score button
-            const vocabComplete = this.vocabularySections.length === 0 ||
-                Object.keys(this.vocabUserChoices).length === this.getTotalVocabWords();
-            const questionsComplete = this.totalQuestions === 0 || this.checkAllQuestionsAnswered();
+    // Sections whose `time=` has run out count as answered: what was left blank there is scored as wrong
+    isSectionTimedOut(type, sectionId) {
+        const index = this.orderedSections.findIndex(sec => sec.type === type && sec.sectionId === sectionId);
+        return index >= 0 && !!this.shadowRoot.querySelector(`#dynamicContent .time-up[data-section="${index}"]`);
+    }
 
-            if (vocabComplete && questionsComplete) {
-                const checkScoreButton = this.shadowRoot.getElementById('checkScoreButton');
-                checkScoreButton.disabled = false;
-            }
-        }
+    checkAllVocabAnswered() {
+        return this.vocabularySections.every(section => this.isSectionTimedOut('vocab', section.sectionId) ||
+            Object.keys(section.vocabulary || {}).every(word => !!this.vocabUserChoices[`${section.sectionId}-${word}`]));
     }
 
     checkAllClozeAnswered() {
-        const totalBlanks = this.clozeSections.reduce((total, section) =>
-            total + section.words.length, 0);
-        const filledBlanks = Object.keys(this.clozeAnswers).filter(key =>
-            this.clozeAnswers[key].length > 0).length;
-        return filledBlanks === totalBlanks;
+        return this.clozeSections.every(section => {
+            if (this.isSectionTimedOut('cloze', section.sectionId)) return true;
+            const filledBlanks = Object.keys(this.clozeAnswers).filter(key =>
+                key.startsWith(`${section.sectionId}-`) && this.clozeAnswers[key].length > 0).length;
+            return filledBlanks === section.words.length;
+        });
+    }
+
+    // An order section counts as answered once the student has moved at least one item
+    checkAllOrderAnswered() {
+        return this.orderSections.every(section => !!this.orderAnswers[section.sectionId] ||
+            this.isSectionTimedOut('order', section.sectionId));
+    }
+
+    // Points available in an order section under its scoring rule
+    getOrderPointsPossible(section) {
+        if (section.scoring === 'exact') return 1;
+        if (section.scoring === 'pairs') return Math.max(section.items.length - 1, 0);
+        return section.items.length;
+    }
+
+    getTotalOrderPoints() {
+        return this.orderSections.reduce((total, section) => total + this.getOrderPointsPossible(section), 0);
     }
 
     getTotalVocabWords() {
@@ -878,13 +1451,9 @@ class TjQuizElement extends HTMLElement {
             total + (section.vocabulary ? Object.keys(section.vocabulary).length : 0), 0);
     }
 
-    formatTextWithLineBreaks(text) {
-        if (!text) return '';
-        const escaped = text
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;');
-        return escaped.replace(/\n/g, '<br>');
+    // Author text (passages, questions, options, definitions) goes through the shared sanitising renderer
+    richText(text) {
+        return renderRichText(text, { imageHosts: this.imageHosts });
     }
 
     addLineBreaksToHtml(htmlString) {
@@ -893,10 +1462,12 @@ class TjQuizElement extends HTMLElement {
     }
 
     createSectionCard(title, options = {}) {
-        const { descriptionHtml = '', cardClasses = [] } = options;
+        const { descriptionHtml = '', cardClasses = [], lang = '' } = options;
         const card = document.createElement('div');
         const classList = ['section-card', ...cardClasses].filter(Boolean);
         card.className = classList.join(' ');
+        // Sections in another language (lang=) are tagged so TTS, fonts and screen readers follow it
+        if (lang) card.lang = lang;
 
         const header = document.createElement('div');
         header.className = 'section-card-header';
@@ -922,6 +1493,8 @@ class TjQuizElement extends HTMLElement {
         this.vocabScore = 0;
         const totalVocab = this.getTotalVocabWords();
 
+        this.itemResults.vocab = [];
+
         // Show feedback for each vocabulary section
         this.vocabularySections.forEach((vocabSection) => {
             const { vocabulary, sectionId } = vocabSection;
@@ -933,7 +1506,9 @@ class TjQuizElement extends HTMLElement {
                 const userChoice = this.vocabUserChoices[key];
 
                 // Find the input for this word
-                const input = this.shadowRoot.querySelector(`.vocab-matching-input[data-section-id="${sectionId}"][data-word="${word}"]`);
+                // Match on dataset rather than a selector: words may contain quotes
+                const input = Array.from(this.shadowRoot.querySelectorAll(`.vocab-matching-input[data-section-id="${sectionId}"]`))
+                    .find(el => el.dataset.word === word);
                 if (!input) return;
 
                 const correctLetter = input.dataset.correctLetter;
@@ -948,13 +1523,29 @@ class TjQuizElement extends HTMLElement {
                     row.appendChild(feedbackIcon);
                 }
 
+                // The chosen letter (or dragged chip) stands for the word carrying that letter
+                const chosen = userChoice
+                    ? Array.from(this.shadowRoot.querySelectorAll(`.vocab-matching-input[data-section-id="${sectionId}"]`))
+                        .find(el => el.dataset.correctLetter === userChoice)
+                    : null;
+                this.itemResults.vocab.push({
+                    section: 'vocab',
+                    sectionId,
+                    prompt: vocabulary[word],
+                    response: chosen ? chosen.dataset.word : (userChoice || ''),
+                    answer: word,
+                    correct: userChoice === correctLetter,
+                    points: userChoice === correctLetter ? 1 : 0
+                });
+
                 if (userChoice === correctLetter) {
                     this.vocabScore++;
                     row.classList.add('correct');
                     feedbackIcon.textContent = ' ✅';
                 } else {
                     row.classList.add('incorrect');
-                    feedbackIcon.textContent = ` ❌ (Correct: ${correctLetter})`;
+                    // Drag mode slots show words rather than letters
+                    feedbackIcon.textContent = ` ❌ ${this.t('vocab.correction', { answer: input.dataset.correctLabel || correctLetter })}`;
                 }
             });
         });
@@ -968,16 +1559,36 @@ class TjQuizElement extends HTMLElement {
         const totalBlanks = this.clozeSections.reduce((total, section) =>
             total + section.words.length, 0);
 
+        this.itemResults.cloze = [];
+
         // Show feedback for each cloze blank
         const clozeInputs = this.shadowRoot.querySelectorAll('.cloze-blank');
         clozeInputs.forEach(input => {
-            const correctAnswer = input.dataset.answer.toLowerCase();
-            const userAnswer = input.value.trim().toLowerCase();
-            const isCorrect = userAnswer === correctAnswer;
+            const section = this.clozeSections.find(sec => String(sec.sectionId) === input.dataset.sectionId) || {};
+            const answers = (input.dataset.answers || input.dataset.answer).split('|');
+            const result = this.gradeClozeAnswer(input.value, answers, section.match, section.almost);
+            const blank = section.blanks ? section.blanks[parseInt(input.dataset.blankIndex)] : null;
+            this.itemResults.cloze.push({
+                section: 'cloze',
+                sectionId: section.sectionId,
+                prompt: blank ? this.clozeItemPrompt(section.text, blank.raw) : '',
+                response: input.value.trim(),
+                answer: blank ? blank.answers.join(' | ') : answers[0],
+                correct: result !== 'incorrect',
+                points: result === 'incorrect' ? 0 : 1
+            });
 
-            if (isCorrect) {
+            if (result === 'correct') {
                 this.clozeScore++;
                 input.classList.add('correct');
+            } else if (result === 'almost') {
+                // Near-misses are accepted but show the intended spelling
+                this.clozeScore++;
+                input.classList.add('almost');
+                const correction = document.createElement('span');
+                correction.className = 'cloze-correction';
+                correction.textContent = this.t('cloze.almost', { answer: answers[0] });
+                input.after(correction);
             } else {
                 input.classList.add('incorrect');
             }
@@ -988,6 +1599,116 @@ class TjQuizElement extends HTMLElement {
         this.clozeSubmitted = true;
     }
 
+    // The sentence around a cloze blank for the submitted item record: the blank becomes ___ and
+    // the section's other starred words are filled in
+    clozeItemPrompt(text, raw) {
+        const marker = `*${raw}*`;
+        const at = text.indexOf(marker);
+        if (at === -1) return '___';
+        const sentence = this.splitSentences(text).find(range => range.start <= at && at < range.end) ||
+            { start: 0, end: text.length };
+        const end = Math.max(sentence.end, at + marker.length);
+        return `${text.slice(sentence.start, at)}___${text.slice(at + marker.length, end)}`
+            .replace(/\*([^*]+)\*/g, (match, inner) => inner.split('|')[0].replace(/\{[^}]*\}$/, ''))
+            .trim();
+    }
+
+    // Returns 'correct', 'almost' (within the section's edit distance) or 'incorrect'
+    gradeClozeAnswer(response, answers, match = 'exact', almost = 0) {
+        const normalized = this.normalizeClozeAnswer(response, match);
+        if (!normalized) return 'incorrect';
+        const candidates = answers.map(answer => this.normalizeClozeAnswer(answer, match));
+        if (candidates.includes(normalized)) return 'correct';
+        if (almost > 0 && candidates.some(answer => this.editDistance(normalized, answer) <= almost)) {
+            return 'almost';
+        }
+        return 'incorrect';
+    }
+
+    normalizeClozeAnswer(text, match = 'exact') {
+        let value = String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+        if (match === 'loose') {
+            // Drop accents (café -> cafe) and punctuation (don't -> dont)
+            value = value.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+                .replace(/[^\p{L}\p{N}\s]/gu, '')
+                .replace(/\s+/g, ' ')
+                .trim();
+        }
+        return value;
+    }
+
+    // Levenshtein distance between two strings
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    showOrderScore() {
+        this.orderScore = 0;
+        this.itemResults.order = [];
+
+        this.orderSections.forEach(section => {
+            const { items, sectionId, scoring } = section;
+            const list = this.shadowRoot.querySelector(`.order-list[data-section-id="${sectionId}"]`);
+            if (!list) return;
+            const listItems = Array.from(list.querySelectorAll('.order-item'));
+            const answer = listItems.map(li => parseInt(li.dataset.itemIndex));
+            // Compare by text so duplicate items are interchangeable
+            const inPlace = answer.map((itemIndex, pos) => items[itemIndex] === items[pos]);
+
+            let points = 0;
+            if (scoring === 'exact') {
+                points = inPlace.every(Boolean) ? 1 : 0;
+            } else if (scoring === 'pairs') {
+                // Each neighbouring pair of the correct sequence scores once, wherever it appears
+                const pairs = items.slice(1).map((item, i) => `${items[i]}\n${item}`);
+                for (let i = 0; i < answer.length - 1; i++) {
+                    const found = pairs.indexOf(`${items[answer[i]]}\n${items[answer[i + 1]]}`);
+                    if (found !== -1) {
+                        pairs.splice(found, 1);
+                        points++;
+                    }
+                }
+            } else {
+                points = inPlace.filter(Boolean).length;
+            }
+            this.orderScore += points;
+            this.itemResults.order.push({
+                section: 'order',
+                sectionId,
+                prompt: items.join(' / '),
+                response: answer.map(itemIndex => items[itemIndex]).join(' → '),
+                answer: items.join(' → '),
+                correct: inPlace.every(Boolean),
+                points,
+                possible: this.getOrderPointsPossible(section)
+            });
+
+            listItems.forEach((li, pos) => {
+                li.draggable = false;
+                li.classList.add(inPlace[pos] ? 'correct' : 'incorrect');
+                li.querySelectorAll('.order-move').forEach(button => { button.disabled = true; });
+            });
+
+            if (!inPlace.every(Boolean)) {
+                const correctOrder = document.createElement('p');
+                correctOrder.className = 'order-correct-sequence';
+                correctOrder.textContent = this.t('order.correctOrder', { items: items.join(' → ') });
+                list.after(correctOrder);
+            }
+        });
+
+        this.orderSubmitted = true;
+    }
+
     setupEventListeners() {
         const quizForm = this.shadowRoot.getElementById('quizForm');
         const sendButton = this.shadowRoot.getElementById('sendButton');
@@ -1009,14 +1730,33 @@ class TjQuizElement extends HTMLElement {
         quizForm.addEventListener('input', (e) => {
             this.handleClozeAnswer(e);
             this.handleVocabAnswer(e);
+            if (e.target.classList && e.target.classList.contains('typed-answer-input')) {
+                this.handleAnswer(e);
+            }
         });
         quizForm.addEventListener('submit', (e) => this.handleSubmit(e));
         sendButton.addEventListener('click', () => this.sendScore());
         tryAgainButton.addEventListener('click', () => this.resetQuiz());
         themeToggle.addEventListener('click', () => this.toggleTheme());
+
+        const rateInput = this.shadowRoot.querySelector('.tts-rate-input');
+        const pitchInput = this.shadowRoot.querySelector('.tts-pitch-input');
+        if (rateInput) rateInput.addEventListener('change', () => this.setTtsSetting('rate', rateInput.value));
+        if (pitchInput) pitchInput.addEventListener('change', () => this.setTtsSetting('pitch', pitchInput.value));
         if (startQuizButton) {
             startQuizButton.addEventListener('click', () => this.handleStartQuiz());
         }
+        const resumeButton = this.shadowRoot.getElementById('resumeButton');
+        const startOverButton = this.shadowRoot.getElementById('startOverButton');
+        if (resumeButton) resumeButton.addEventListener('click', () => this.resumeAttempt());
+        if (startOverButton) startOverButton.addEventListener('click', () => this.discardResume());
+        // Working in a `time=` section starts its clock even if it was never scrolled into view
+        const startTimedSection = (event) => {
+            const card = event.target.closest && event.target.closest('#dynamicContent [data-time-limit]');
+            if (card) this.startSectionTime(card);
+        };
+        this.shadowRoot.addEventListener('focusin', startTimedSection);
+        this.shadowRoot.addEventListener('pointerdown', startTimedSection);
 
         this.getStudentInputs().forEach(input => {
             input.addEventListener('input', () => {
@@ -1025,17 +1765,45 @@ class TjQuizElement extends HTMLElement {
                 }
                 if (!this.quizUnlocked) {
                     this.showStudentInfoAlert();
+                    this.offerResume();
                 }
             });
         });
 
         this.shadowRoot.addEventListener('click', (event) => {
+            const hintToggle = event.target.closest('.cloze-hint-toggle');
+            if (hintToggle) {
+                const hintText = hintToggle.nextElementSibling;
+                if (hintText) {
+                    const show = hintText.classList.contains('hidden');
+                    hintText.classList.toggle('hidden', !show);
+                    hintToggle.setAttribute('aria-expanded', String(show));
+                }
+                return;
+            }
+
             const passageAudioToggle = event.target.closest('.passage-audio-toggle');
             if (passageAudioToggle) {
-                const card = passageAudioToggle.closest('.section-card');
-                const passageTexts = card ? Array.from(card.querySelectorAll('.passage-text')) : [];
-                const text = passageTexts.map(el => el.textContent).join('\n');
-                this.handlePassageTTS(passageAudioToggle, text);
+                this.handleItemAudio(passageAudioToggle, this.getAudioFallbackText(passageAudioToggle));
+                return;
+            }
+
+            // Clicking a timed paragraph jumps the lesson recording to it
+            const timedParagraph = event.target.closest('.passage-text[data-start]');
+            if (timedParagraph && !event.target.closest('a, audio, video')) {
+                this.seekLessonAudio(parseFloat(timedParagraph.dataset.start));
+                return;
+            }
+
+            const ttsControl = event.target.closest('.tts-control');
+            if (ttsControl) {
+                this.handleTtsControl(ttsControl.dataset.ttsAction);
+                return;
+            }
+
+            const spokenWord = event.target.closest('.tts-words .tts-word');
+            if (spokenWord && !event.target.closest('a')) {
+                this.readFromWord(spokenWord);
                 return;
             }
 
@@ -1061,23 +1829,28 @@ class TjQuizElement extends HTMLElement {
         });
     }
 
+    // Shuffle in place. Each shuffle is recorded as a permutation (new position -> old index) so an
+    // autosave holds the exact draw; while resuming, the saved permutations are replayed instead.
     shuffleArray(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
+        const order = array.map((_, i) => i);
+        const replayed = this.replay ? this.replay.shift() : null;
+        if (replayed && replayed.length === order.length && replayed.every(index => order.includes(index))) {
+            order.splice(0, order.length, ...replayed);
+        } else {
+            if (this.replay) this.replayFailed = true;
+            for (let i = order.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [order[i], order[j]] = [order[j], order[i]];
+            }
         }
+        const original = array.slice();
+        order.forEach((from, to) => { array[to] = original[from]; });
+        if (this.drawTarget) this.drawTarget.push(order);
     }
 
+    // Icon state of the header "Play Lesson Audio" button (absent when the quiz has no ---audio section)
     setAudioIcon(state) {
-        const playIcon = this.shadowRoot.querySelector('.play-icon');
-        const pauseIcon = this.shadowRoot.querySelector('.pause-icon');
-        if (state === 'playing') {
-            playIcon.classList.add('hidden');
-            pauseIcon.classList.remove('hidden');
-        } else {
-            playIcon.classList.remove('hidden');
-            pauseIcon.classList.add('hidden');
-        }
+        this.setPassageAudioIcon(this.shadowRoot.querySelector('.audio-toggle'), state);
     }
 
     // Set play/pause icon state for a specific passage audio button
@@ -1096,6 +1869,9 @@ class TjQuizElement extends HTMLElement {
     }
 
     stopAllAudio() {
+        // Clear the reading session first so the cancelled utterance's events are ignored
+        this.ttsSession = null;
+        this.showTtsControls(false);
         if (window.speechSynthesis) {
             window.speechSynthesis.cancel();
         }
@@ -1103,7 +1879,14 @@ class TjQuizElement extends HTMLElement {
             this.audioPlayer.pause();
             this.audioPlayer.currentTime = 0;
         }
+        this.itemAudioPlayers.forEach(player => {
+            player.pause();
+            player.currentTime = 0;
+        });
         this.ttsPaused = false;
+        this.activeSegment = null;
+        this.highlightLessonParagraph(null);
+        if (this.shadowRoot) this.highlightSpokenWord(Array.from(this.shadowRoot.querySelectorAll('.tts-word.tts-active')), null);
         this.setAudioIcon('paused');
         // Reset any passage-specific audio button icons
         if (this.currentAudioButton) {
@@ -1115,67 +1898,201 @@ class TjQuizElement extends HTMLElement {
     handleTTS() {
         if (this.audioPlayer && !this.audioPlayer.paused) this.audioPlayer.pause();
 
-        if (window.speechSynthesis.speaking && this.ttsPaused) {
-            window.speechSynthesis.resume();
-            this.ttsPaused = false;
-            this.setAudioIcon('playing');
-        } else if (window.speechSynthesis.speaking && !this.ttsPaused) {
-            window.speechSynthesis.pause();
-            this.ttsPaused = true;
-            this.setAudioIcon('paused');
-        } else {
-            this.stopAllAudio(); // Clear anything else
-            this.utterance = new SpeechSynthesisUtterance(this.passage);
-            this.utterance.lang = "en-US";
-
-            const voices = window.speechSynthesis.getVoices();
-            let selectedVoice = voices.find(v => v.name === this.selectedVoiceName);
-            if (!selectedVoice) {
-                selectedVoice = this._getBestVoice("en-US");
-            }
-            if (selectedVoice) {
-                this.utterance.voice = selectedVoice;
-            }
-
-            this.utterance.onstart = () => {
-                this.setAudioIcon('playing');
-                this.ttsPaused = false;
-            };
-            this.utterance.onend = () => {
-                this.setAudioIcon('paused');
-                this.ttsPaused = false;
-            };
-            this.utterance.onerror = (e) => {
-                console.error("TTS Error:", e);
-                this.setAudioIcon('paused');
-                this.ttsPaused = false;
-            };
-            window.speechSynthesis.speak(this.utterance);
+        // The header button is already reading: pause/resume it
+        if (this.ttsSession && !this.ttsSession.button) {
+            this.toggleTtsPause();
+            return;
         }
+
+        this.stopAllAudio(); // Clear anything else
+        // Read the last passage as rendered (without Markdown marks) so words can be highlighted
+        const cards = this.shadowRoot.querySelectorAll('.passage-card');
+        const lastCard = cards.length > 0 ? cards[cards.length - 1] : null;
+        const words = lastCard ? Array.from(lastCard.querySelectorAll('.tts-word')) : [];
+        this.startTtsSession(null, lastCard ? this.getPassageCardText(lastCard) : this.passage, words, 0, this.getSpeechLang(lastCard));
     }
 
     handleAudioFile() {
-        if (window.speechSynthesis.speaking || window.speechSynthesis.paused) window.speechSynthesis.cancel();
+        if (this.ttsSession) {
+            this.stopAllAudio();
+        } else if (window.speechSynthesis.speaking || window.speechSynthesis.paused) {
+            window.speechSynthesis.cancel();
+        }
+
+        const player = this.getLessonPlayer();
+        if (player.paused) {
+            this.playItemAudio(player);
+        } else {
+            player.pause();
+        }
+    }
 
+    // The ---audio recording, shared by the header button, timed passages and paragraph seeking.
+    // Its icon follows whichever of those started it.
+    getLessonPlayer() {
+        if (!this.audioSrc) return null;
         if (!this.audioPlayer) {
-            this.audioPlayer = new Audio(this.audioSrc);
-            this.audioPlayer.onplaying = () => this.setAudioIcon('playing');
-            this.audioPlayer.onpause = () => this.setAudioIcon('paused');
-            this.audioPlayer.onended = () => this.setAudioIcon('paused');
-            this.audioPlayer.onerror = (e) => {
+            const player = new Audio(this.audioSrc);
+            const lessonButton = () => this.activeSegment ? this.activeSegment.button : this.shadowRoot.querySelector('.audio-toggle');
+            player.onplaying = () => this.setPassageAudioIcon(lessonButton(), 'playing');
+            player.onpause = () => this.setPassageAudioIcon(lessonButton(), 'paused');
+            player.onended = () => {
+                this.setPassageAudioIcon(lessonButton(), 'paused');
+                this.endLessonSegment();
+                this.highlightLessonParagraph(null);
+            };
+            player.ontimeupdate = () => {
+                const segment = this.activeSegment;
+                if (segment && segment.end !== null && player.currentTime >= segment.end) {
+                    player.pause();
+                    this.endLessonSegment();
+                    this.highlightLessonParagraph(null);
+                    return;
+                }
+                this.highlightLessonParagraph(player.currentTime);
+            };
+            player.onerror = (e) => {
                 console.error("Audio file error. Falling back to TTS.", e);
+                const segment = this.activeSegment;
                 this.audioPlayer = null;
-                this.handleTTS();
+                this.audioSrc = '';
+                this.activeSegment = null;
+                this.highlightLessonParagraph(null);
+                if (segment) {
+                    this.currentAudioButton = null;
+                    this.handlePassageTTS(segment.button, this.getAudioFallbackText(segment.button));
+                } else {
+                    this.handleTTS();
+                }
             };
+            this.audioPlayer = player;
         }
-        if (this.audioPlayer.paused) {
-            this.audioPlayer.play();
-        } else {
-            this.audioPlayer.pause();
+        return this.audioPlayer;
+    }
+
+    // A timed passage button plays just its part of the lesson recording
+    handleSegmentAudio(button) {
+        const player = this.getLessonPlayer();
+        if (this.activeSegment && this.activeSegment.button === button) {
+            if (player.paused) {
+                this.playItemAudio(player);
+            } else {
+                player.pause();
+            }
+            return;
+        }
+
+        this.stopAllAudio();
+        const start = parseFloat(button.dataset.segmentStart);
+        const end = button.dataset.segmentEnd ? parseFloat(button.dataset.segmentEnd) : null;
+        this.activeSegment = { button, start, end };
+        this.currentAudioButton = button;
+        player.currentTime = start;
+        this.playItemAudio(player);
+    }
+
+    endLessonSegment() {
+        if (!this.activeSegment) return;
+        this.setPassageAudioIcon(this.activeSegment.button, 'paused');
+        if (this.currentAudioButton === this.activeSegment.button) this.currentAudioButton = null;
+        this.activeSegment = null;
+    }
+
+    // Play the lesson recording from `start`. Inside the passage that is playing this only seeks;
+    // anywhere else the whole recording carries on from that paragraph.
+    seekLessonAudio(start) {
+        const player = this.getLessonPlayer();
+        if (!player || isNaN(start)) return;
+        const segment = this.activeSegment;
+        const inSegment = segment && start >= segment.start && (segment.end === null || start < segment.end);
+        if (!inSegment) this.stopAllAudio();
+        player.currentTime = start;
+        this.highlightLessonParagraph(start);
+        if (player.paused) this.playItemAudio(player);
+    }
+
+    // Mark the paragraph the lesson recording is reading (null clears the highlight)
+    highlightLessonParagraph(time) {
+        if (!this.shadowRoot) return;
+        this.shadowRoot.querySelectorAll('.passage-text[data-start]').forEach(paragraph => {
+            const start = parseFloat(paragraph.dataset.start);
+            const end = paragraph.dataset.end ? parseFloat(paragraph.dataset.end) : Infinity;
+            const active = time !== null && time >= start && time < end;
+            paragraph.classList.toggle('segment-active', active);
+        });
+    }
+
+    // Fetch the WebVTT file named by `cues = URL` and re-time the passages with it
+    async loadAudioCues() {
+        if (!this.audioCuesSrc) return;
+        try {
+            const response = await fetch(this.audioCuesSrc);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const cues = parseWebVtt(await response.text());
+            console.log(`Loaded ${cues.length} audio cues from ${this.audioCuesSrc}`);
+            if (cues.length === 0) return;
+            this.audioCues = cues;
+            this.applyAudioTimings();
+        } catch (error) {
+            console.error(`Could not load audio cues (${this.audioCuesSrc}):`, error);
         }
     }
 
+    // Give each paragraph of the passages read in the lesson recording a start/end time.
+    // `[mm:ss]` stamps in the passage win; otherwise the ---audio cues are handed out in
+    // order to the paragraphs of passages without stamps. A paragraph ends where the next
+    // timed one starts (or at its VTT cue end).
+    applyAudioTimings() {
+        if (!this.shadowRoot) return;
+        const wrappers = Array.from(this.shadowRoot.querySelectorAll('.passage-wrapper[data-lesson-audio]'));
+        const timed = [];
+        let cueIndex = 0;
+        wrappers.forEach(wrapper => {
+            const paragraphs = Array.from(wrapper.querySelectorAll('.passage-text'));
+            const stamped = paragraphs.some(p => p.dataset.stamp !== undefined);
+            paragraphs.forEach(paragraph => {
+                delete paragraph.dataset.start;
+                delete paragraph.dataset.end;
+                let timing = null;
+                if (stamped) {
+                    if (paragraph.dataset.stamp !== undefined) timing = { start: parseFloat(paragraph.dataset.stamp), end: null };
+                } else if (cueIndex < this.audioCues.length) {
+                    timing = { ...this.audioCues[cueIndex++] };
+                }
+                if (timing) timed.push({ paragraph, wrapper, ...timing });
+            });
+        });
+
+        const starts = timed.map(t => t.start).sort((a, b) => a - b);
+        timed.forEach(t => {
+            const next = starts.find(start => start > t.start);
+            const end = t.end !== null && t.end !== undefined ? t.end : next;
+            t.paragraph.dataset.start = String(t.start);
+            if (end !== undefined) t.paragraph.dataset.end = String(end);
+        });
+
+        wrappers.forEach(wrapper => {
+            const button = wrapper.closest('.section-card').querySelector('.passage-audio-toggle');
+            const own = timed.filter(t => t.wrapper === wrapper);
+            if (!button) return;
+            if (own.length === 0) {
+                delete button.dataset.segmentStart;
+                delete button.dataset.segmentEnd;
+                return;
+            }
+            const last = own[own.length - 1];
+            button.dataset.segmentStart = String(own[0].start);
+            if (last.paragraph.dataset.end) {
+                button.dataset.segmentEnd = last.paragraph.dataset.end;
+            } else {
+                delete button.dataset.segmentEnd;
+            }
+        });
+    }
+
     handleAudioToggle() {
+        // A passage or question is playing: stop it before the lesson audio takes over
+        if (this.currentAudioButton) this.stopAllAudio();
         if (this.audioSrc && this.audioSrc.trim() !== "") {
             this.handleAudioFile();
         } else {
@@ -1183,96 +2100,445 @@ class TjQuizElement extends HTMLElement {
         }
     }
 
-    // Play/pause TTS for a specific passage button and text
-    handlePassageTTS(button, text) {
+    // Text read aloud by TTS for a passage or question audio button
+    getAudioFallbackText(button) {
+        const questionBlock = button.closest('.question-block');
+        if (questionBlock) {
+            const questionText = questionBlock.querySelector('.question-text');
+            return questionText ? questionText.textContent.trim() : '';
+        }
+        return this.getPassageCardText(button.closest('.section-card'));
+    }
+
+    getPassageCardText(card) {
+        const passageTexts = card ? Array.from(card.querySelectorAll('.passage-text')) : [];
+        return passageTexts.map(el => el.textContent).join('\n');
+    }
+
+    // Wrap each word of a rendered paragraph in a span that remembers its character offset in
+    // the text TTS speaks, so utterance boundary events can be mapped back to it.
+    // Returns the paragraph's text length.
+    wrapSpokenWords(paragraph, baseOffset, lang) {
+        const walker = document.createTreeWalker(paragraph, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) textNodes.push(walker.currentNode);
+        const findWords = this.getWordFinder(lang);
+
+        let offset = baseOffset;
+        textNodes.forEach(node => {
+            const text = node.nodeValue;
+            const fragment = document.createDocumentFragment();
+            let last = 0;
+            findWords(text).forEach(({ word, index }) => {
+                if (index > last) fragment.appendChild(document.createTextNode(text.slice(last, index)));
+                const span = document.createElement('span');
+                span.className = 'tts-word';
+                span.dataset.offset = String(offset + index);
+                span.textContent = word;
+                fragment.appendChild(span);
+                last = index + word.length;
+            });
+            if (last < text.length) fragment.appendChild(document.createTextNode(text.slice(last)));
+            node.parentNode.replaceChild(fragment, node);
+            offset += text.length;
+        });
+        return offset - baseOffset;
+    }
+
+    // Languages written without spaces (Thai, Chinese, Japanese) need Intl.Segmenter to find
+    // words; elsewhere, and in browsers without it, words are runs of non-space characters.
+    getWordFinder(lang) {
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            try {
+                const segmenter = new Intl.Segmenter(lang, { granularity: 'word' });
+                return text => Array.from(segmenter.segment(text))
+                    .filter(segment => segment.isWordLike)
+                    .map(segment => ({ word: segment.segment, index: segment.index }));
+            } catch (e) {
+                console.warn(`No word segmenter for ${lang}:`, e);
+            }
+        }
+        return text => Array.from(text.matchAll(/\S+/g), match => ({ word: match[0], index: match.index }));
+    }
+
+    // Highlight the word spoken at `charIndex` (null clears), scrolling it into view when needed
+    highlightSpokenWord(words, charIndex) {
+        let current = null;
+        if (charIndex !== null) {
+            words.forEach(word => {
+                if (parseInt(word.dataset.offset) <= charIndex) current = word;
+            });
+        }
+        words.forEach(word => {
+            if (word !== current) word.classList.remove('tts-active');
+        });
+        // Listening passages keep their transcript hidden
+        if (!current || current.closest('.listening-hidden')) return;
+        if (!current.classList.contains('tts-active')) {
+            current.classList.add('tts-active');
+            if (current.scrollIntoView) current.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        }
+    }
+
+    // Clicking a word in a TTS passage reads on from that word
+    readFromWord(word) {
+        const card = word.closest('.section-card');
+        const button = card ? card.querySelector('.passage-audio-toggle') : null;
         if (!button) return;
+        // Passages with a working recording play it instead
+        if (button.dataset.audioSrc && button.dataset.audioFailed !== 'true') return;
+        this.handlePassageTTS(button, this.getPassageCardText(card), parseInt(word.dataset.offset));
+    }
 
-        // If another passage button is active, stop it first
-        if (this.currentAudioButton && this.currentAudioButton !== button) {
-            this.stopAllAudio();
+    // Play/pause a passage or question's own recording, falling back to TTS of `text`
+    // when it has none or the file fails to load
+    handleItemAudio(button, text) {
+        if (!button) return;
+        if (button.dataset.segmentStart !== undefined && this.audioSrc) {
+            this.handleSegmentAudio(button);
+            return;
+        }
+        const src = button.dataset.audioSrc;
+        if (!src || button.dataset.audioFailed === 'true') {
+            this.handlePassageTTS(button, text);
+            return;
         }
 
-        // If speechSynthesis is currently speaking and the same button was used, toggle pause/resume
-        if (window.speechSynthesis && window.speechSynthesis.speaking && this.currentAudioButton === button) {
-            if (this.ttsPaused) {
-                window.speechSynthesis.resume();
-                this.ttsPaused = false;
-                this.setPassageAudioIcon(button, 'playing');
+        let player = this.itemAudioPlayers.get(button);
+        if (player && this.currentAudioButton === button) {
+            if (player.paused) {
+                this.playItemAudio(player);
             } else {
-                window.speechSynthesis.pause();
-                this.ttsPaused = true;
-                this.setPassageAudioIcon(button, 'paused');
+                player.pause();
             }
             return;
         }
 
-        // Otherwise stop existing and start new utterance
         this.stopAllAudio();
-
-        // Start new utterance for this passage
-        try {
-            this.utterance = new SpeechSynthesisUtterance(text || '');
-            this.utterance.lang = "en-US";
-
-            const voices = window.speechSynthesis.getVoices();
-            let selectedVoice = voices.find(v => v.name === this.selectedVoiceName);
-            if (!selectedVoice) {
-                selectedVoice = this._getBestVoice("en-US");
-            }
-            if (selectedVoice) {
-                this.utterance.voice = selectedVoice;
-            }
-
-            this.utterance.onstart = () => {
-                this.setPassageAudioIcon(button, 'playing');
-                this.currentAudioButton = button;
-                this.ttsPaused = false;
-            };
-            this.utterance.onend = () => {
+        if (!player) {
+            player = new Audio(src);
+            player.onplaying = () => this.setPassageAudioIcon(button, 'playing');
+            player.onpause = () => this.setPassageAudioIcon(button, 'paused');
+            player.onended = () => {
                 this.setPassageAudioIcon(button, 'paused');
-                if (this.currentAudioButton === button) {
-                    this.currentAudioButton = null;
-                    this.ttsPaused = false;
-                }
+                if (this.currentAudioButton === button) this.currentAudioButton = null;
             };
-            this.utterance.onerror = (e) => {
-                console.error('Passage TTS Error:', e);
+            player.onerror = (e) => {
+                console.error(`Audio file error (${src}). Falling back to TTS.`, e);
+                button.dataset.audioFailed = 'true';
+                this.itemAudioPlayers.delete(button);
                 this.setPassageAudioIcon(button, 'paused');
                 if (this.currentAudioButton === button) {
                     this.currentAudioButton = null;
-                    this.ttsPaused = false;
+                    this.handlePassageTTS(button, text);
                 }
             };
-            window.speechSynthesis.speak(this.utterance);
+            this.itemAudioPlayers.set(button, player);
+        }
+        this.currentAudioButton = button;
+        this.playItemAudio(player);
+    }
+
+    playItemAudio(player) {
+        const playing = player.play();
+        // Load failures are handled by onerror; this only keeps the rejection from going unhandled
+        if (playing && playing.catch) playing.catch(err => console.warn('Audio playback failed:', err));
+    }
+
+    // Play/pause TTS for a specific passage button and text. With `startOffset` it (re)starts
+    // reading from that character instead of toggling.
+    handlePassageTTS(button, text, startOffset = null) {
+        if (!button) return;
+
+        // The same button is already reading: pause/resume it
+        if (startOffset === null && this.ttsSession && this.ttsSession.button === button) {
+            this.toggleTtsPause();
+            return;
+        }
+
+        // Otherwise stop whatever is playing and start reading this item
+        this.stopAllAudio();
+        try {
+            const card = button.closest('.section-card');
+            const words = card ? Array.from(card.querySelectorAll('.tts-word')) : [];
+            this.startTtsSession(button, text || '', words, startOffset || 0, this.getSpeechLang(button));
         } catch (err) {
             console.error('TTS not available:', err);
         }
     }
 
+    // Sentence ranges ({ start, end } character offsets) of the text TTS reads
+    splitSentences(text) {
+        const sentences = [];
+        // A sentence ends at . ! ? or … followed by a space, at a CJK 。！？, at a line break,
+        // or at the end of the text
+        const pattern = /\S[^\n]*?(?:[.!?…]+["'”’)\]]*(?=\s|$)|[。！？]+[”’」』）]*|(?=\n)|$)/g;
+        let match;
+        while ((match = pattern.exec(text || '')) !== null) {
+            if (!/[\p{L}\p{N}]/u.test(match[0])) continue;
+            sentences.push({ start: match.index, end: match.index + match[0].length });
+        }
+        return sentences;
+    }
+
+    // Read `text` aloud one sentence per utterance: short utterances avoid Chrome cutting off long
+    // ones and let students step between sentences. `button` is the passage or question button that
+    // started it, or null for the header button.
+    startTtsSession(button, text, words = [], startOffset = 0, lang = this.ttsLang) {
+        const sentences = this.splitSentences(text);
+        if (sentences.length === 0) return;
+        let index = sentences.findIndex(sentence => sentence.end > startOffset);
+        if (index === -1) index = sentences.length - 1;
+
+        this.ttsSession = { button, text, sentences, index, words, lang, utterance: null };
+        this.currentAudioButton = button;
+        this.ttsPaused = false;
+        this.showTtsControls(true);
+        this.speakTtsSentence(index, Math.max(startOffset, sentences[index].start));
+    }
+
+    speakTtsSentence(index, fromOffset = null) {
+        const session = this.ttsSession;
+        if (!session) return;
+        const sentence = session.sentences[index];
+        const begin = fromOffset === null ? sentence.start : fromOffset;
+
+        const utterance = new SpeechSynthesisUtterance(session.text.slice(begin, sentence.end));
+        // Set lang even with a voice: Android ignores the voice otherwise
+        utterance.lang = session.lang;
+        utterance.rate = this.ttsRate;
+        utterance.pitch = this.ttsPitch;
+        const selectedVoice = this.getVoiceFor(session.lang);
+        if (selectedVoice) {
+            utterance.voice = selectedVoice;
+        }
+
+        // Events from a sentence that was skipped or stopped are ignored
+        const isCurrent = () => this.ttsSession === session && session.utterance === utterance;
+        utterance.onstart = () => {
+            if (!isCurrent()) return;
+            this.ttsPaused = false;
+            this.setTtsIcon(session, 'playing');
+        };
+        utterance.onboundary = (e) => {
+            if (!isCurrent() || (e.name && e.name !== 'word')) return;
+            this.highlightSpokenWord(session.words, begin + e.charIndex);
+        };
+        utterance.onend = () => {
+            if (!isCurrent()) return;
+            if (index + 1 < session.sentences.length) {
+                this.speakTtsSentence(index + 1);
+            } else {
+                this.endTtsSession();
+            }
+        };
+        utterance.onerror = (e) => {
+            if (!isCurrent() || e.error === 'interrupted' || e.error === 'canceled') return;
+            console.error('TTS Error:', e);
+            this.endTtsSession();
+        };
+
+        session.index = index;
+        session.utterance = utterance;
+        this.utterance = utterance;
+        // Mark the start of the sentence straight away; voices without boundary events stay on it
+        this.highlightSpokenWord(session.words, begin);
+        window.speechSynthesis.speak(utterance);
+    }
+
+    // Jump `delta` sentences back/forward (0 repeats the current one)
+    stepTtsSentence(delta) {
+        const session = this.ttsSession;
+        if (!session) return;
+        const index = Math.min(Math.max(session.index + delta, 0), session.sentences.length - 1);
+        session.utterance = null;
+        window.speechSynthesis.cancel();
+        this.ttsPaused = false;
+        this.setTtsIcon(session, 'playing');
+        this.speakTtsSentence(index);
+    }
+
+    toggleTtsPause() {
+        const session = this.ttsSession;
+        if (!session) return;
+        if (this.ttsPaused) {
+            window.speechSynthesis.resume();
+            this.ttsPaused = false;
+            this.setTtsIcon(session, 'playing');
+        } else {
+            window.speechSynthesis.pause();
+            this.ttsPaused = true;
+            this.setTtsIcon(session, 'paused');
+        }
+    }
+
+    endTtsSession() {
+        const session = this.ttsSession;
+        if (!session) return;
+        this.ttsSession = null;
+        this.ttsPaused = false;
+        this.setTtsIcon(session, 'paused');
+        this.highlightSpokenWord(session.words, null);
+        if (this.currentAudioButton === session.button) this.currentAudioButton = null;
+        this.showTtsControls(false);
+    }
+
+    // Icon of whichever button started the reading, mirrored on the control strip's pause button
+    setTtsIcon(session, state) {
+        if (session.button) {
+            this.setPassageAudioIcon(session.button, state);
+        } else {
+            this.setAudioIcon(state);
+        }
+        const pauseToggle = this.shadowRoot.querySelector('.tts-pause-toggle');
+        if (pauseToggle) {
+            const label = this.t(state === 'playing' ? 'tts.pause' : 'tts.resume');
+            pauseToggle.textContent = state === 'playing' ? '⏸' : '▶';
+            pauseToggle.title = label;
+            pauseToggle.setAttribute('aria-label', label);
+        }
+    }
+
+    showTtsControls(show) {
+        const controls = this.shadowRoot && this.shadowRoot.querySelector('.tts-controls');
+        if (controls) controls.classList.toggle('hidden', !show);
+    }
+
+    handleTtsControl(action) {
+        if (action === 'previous') this.stepTtsSentence(-1);
+        else if (action === 'repeat') this.stepTtsSentence(0);
+        else if (action === 'next') this.stepTtsSentence(1);
+        else if (action === 'pause') this.toggleTtsPause();
+        else if (action === 'settings') this._showVoiceOverlay();
+        else if (action === 'stop') this.stopAllAudio();
+    }
+
+    // Speed and pitch sliders in the voice overlay. A new setting restarts the sentence being read
+    // so it is heard straight away.
+    setTtsSetting(name, value) {
+        const number = Math.min(Math.max(parseFloat(value) || 1, 0.5), 1.5);
+        if (name === 'rate') this.ttsRate = number;
+        if (name === 'pitch') this.ttsPitch = number;
+        this.updateTtsSettingsUI();
+        if (name === 'rate') this.saveTtsPreferences();
+        if (this.ttsSession && !this.ttsPaused) this.stepTtsSentence(0);
+    }
+
+    updateTtsSettingsUI() {
+        if (!this.shadowRoot) return;
+        const rateText = `${this.ttsRate.toFixed(1)}×`;
+        const rateInput = this.shadowRoot.querySelector('.tts-rate-input');
+        const pitchInput = this.shadowRoot.querySelector('.tts-pitch-input');
+        const rateValue = this.shadowRoot.querySelector('.tts-rate-value');
+        const pitchValue = this.shadowRoot.querySelector('.tts-pitch-value');
+        const rateToggle = this.shadowRoot.querySelector('.tts-rate-toggle');
+        if (rateInput) rateInput.value = String(this.ttsRate);
+        if (pitchInput) pitchInput.value = String(this.ttsPitch);
+        if (rateValue) rateValue.textContent = rateText;
+        if (pitchValue) pitchValue.textContent = this.ttsPitch.toFixed(1);
+        if (rateToggle) rateToggle.textContent = rateText;
+    }
+
+    // Voice and speed are remembered per reading language. The speed slider is shared, so it is
+    // saved with (and restored from) the quiz's own language.
+    ttsStorageKey(lang = this.ttsLang) {
+        return `tj-quiz-tts:${lang}`;
+    }
+
+    loadTtsPreferences() {
+        try {
+            this.getQuizLanguages().forEach(lang => {
+                const saved = JSON.parse(localStorage.getItem(this.ttsStorageKey(lang)) || 'null');
+                if (saved && saved.voice) this.selectedVoices[lang] = saved.voice;
+                if (saved && saved.rate && lang === this.ttsLang) {
+                    this.ttsRate = Math.min(Math.max(parseFloat(saved.rate) || 1, 0.5), 1.5);
+                }
+            });
+        } catch (error) {
+            console.warn('Could not read saved voice settings:', error);
+        }
+        this.updateTtsSettingsUI();
+    }
+
+    saveTtsPreferences(lang = this.ttsLang) {
+        try {
+            const saved = { voice: this.selectedVoices[lang] || null };
+            if (lang === this.ttsLang) saved.rate = this.ttsRate;
+            localStorage.setItem(this.ttsStorageKey(lang), JSON.stringify(saved));
+        } catch (error) {
+            console.warn('Could not save voice settings:', error);
+        }
+    }
+
+    // Play/pause button for a passage or question. With an audio src it plays that recording,
+    // otherwise (or when the file fails) it reads the item aloud with TTS.
+    createAudioToggle(title, audioSrc = '', extraClass = '') {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `passage-audio-toggle ${extraClass}`.trim();
+        button.title = title;
+        if (audioSrc) button.dataset.audioSrc = audioSrc;
+        button.innerHTML = `
+            <svg class="play-icon" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="5 3 19 12 5 21 5 3"></polygon></svg>
+            <svg class="pause-icon hidden" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="6" y="4" width="4" height="16"></rect><rect x="14" y="4" width="4" height="16"></rect></svg>
+        `;
+        return button;
+    }
+
     createQuestionBlock(q, index) {
         const questionId = `q${index}`;
         const shuffledOptions = [...q.o];
         this.shuffleArray(shuffledOptions);
+        // "Select all that apply" questions use checkboxes instead of radios
+        const isMulti = q.type === 'multi';
         const optionsHtml = shuffledOptions.map(option => `
             <label class="option-label">
-                <input type="radio" name="${questionId}" value="${option}" class="form-radio" required>
-                <span>${option}</span>
+                <input type="${isMulti ? 'checkbox' : 'radio'}" name="${questionId}" value="${escapeHtml(option)}" class="${isMulti ? 'form-checkbox' : 'form-radio'}"${isMulti ? '' : ' required'}>
+                <span>${this.richText(option)}</span>
             </label>
         `).join('');
+        const hintHtml = isMulti ? `<p class="question-hint">${escapeHtml(this.t('questions.selectAll'))}</p>` : '';
+        // Options that are all pictures are laid out as a grid of picture choices
+        const optionsClass = q.o.length > 0 && q.o.every(option => isImageOnly(option))
+            ? 'options-group image-options'
+            : 'options-group';
 
         const explanationHtml = q.e ? `<div class="explanation hidden" id="explanation-${questionId}">
             <div class="explanation-content">
-                <strong>Explanation:</strong> ${q.e}
+                <strong>${escapeHtml(this.t('questions.explanation'))}</strong> ${this.richText(q.e)}
             </div>
         </div>` : '';
 
         const questionBlock = document.createElement('div');
         questionBlock.className = 'question-block';
-        questionBlock.innerHTML = `
-            <p class="question-text">${q.q}</p>
-            <div class="options-group">${optionsHtml}</div>
-            ${explanationHtml}
-        `;
+
+        if (q.type === 'short' || q.type === 'numeric') {
+            // Typed answers: a single text input instead of options
+            const isNumeric = q.type === 'numeric';
+            const unit = isNumeric && q.numeric.unit ? `<span class="typed-answer-unit">${escapeHtml(q.numeric.unit)}</span>` : '';
+            questionBlock.innerHTML = `
+                <p class="question-text">${this.richText(q.q)}</p>
+                <div class="typed-answer-group">
+                    <input type="text" name="${questionId}" class="form-input typed-answer-input" autocomplete="off" spellcheck="false" autocapitalize="none" autocorrect="off" inputmode="${isNumeric ? 'decimal' : 'text'}" title="${escapeHtml(this.t(isNumeric ? 'questions.typeNumber' : 'questions.typeAnswer'))}">
+                    ${unit}
+                    <span class="feedback-icon"></span>
+                </div>
+                <p class="typed-answer-correct hidden"></p>
+                ${explanationHtml}
+            `;
+        } else {
+            questionBlock.innerHTML = `
+                <p class="question-text">${this.richText(q.q)}</p>
+                ${hintHtml}
+                <div class="${optionsClass}">${optionsHtml}</div>
+                ${explanationHtml}
+            `;
+        }
+
+        if (q.audio) {
+            const questionText = questionBlock.querySelector('.question-text');
+            questionText.prepend(this.createAudioToggle(this.t('audio.question'), q.audio, 'question-audio-toggle'));
+        }
         return questionBlock;
     }
 
@@ -1287,13 +2553,22 @@ class TjQuizElement extends HTMLElement {
 
         console.log('generateQuiz called, questions total:', this.totalQuestions);
 
-        // Clear previous content
+        // Clear previous content (and the recordings of its audio buttons)
         dynamicContent.innerHTML = '';
+        this.itemAudioPlayers.forEach(player => player.pause());
+        this.itemAudioPlayers.clear();
+
+        // Shuffles from here on are this attempt's layout (see shuffleArray)
+        this.draw.quiz = [];
+        this.drawTarget = this.draw.quiz;
 
         // Reset counters and button state
         this.score = 0;
         this.questionsAnswered = 0;
         this.userQuestionAnswers = {};
+        this.orderAnswers = {};
+        this.orderScore = 0;
+        this.orderSubmitted = false;
         checkScoreButton.disabled = true;
 
         // Render sections in original order using orderedSections
@@ -1302,8 +2577,10 @@ class TjQuizElement extends HTMLElement {
         // trackers for which parsed vocab/cloze section to render next
         let vocabRenderIndex = 0;
         let clozeRenderIndex = 0;
+        let orderRenderIndex = 0;
 
-        this.orderedSections.forEach((sec) => {
+        this.orderedSections.forEach((sec, sectionIndex) => {
+            const previousCard = dynamicContent.lastElementChild;
             if (sec.type === 'audio') {
                 if (!this._shouldShowAudioControls()) return;
                 // If an audio section is found, render the global play button in the header
@@ -1313,32 +2590,28 @@ class TjQuizElement extends HTMLElement {
                     audioBtnContainer.className = 'audio-toggle-container';
                     audioBtnContainer.style.marginTop = '1rem';
                     audioBtnContainer.innerHTML = `
-                        <button type="button" class="audio-toggle" title="Play Overall Audio">
+                        <button type="button" class="audio-toggle" title="${escapeHtml(this.t('audio.lessonTitle'))}">
                             <svg class="play-icon" xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="5 3 19 12 5 21 5 3"></polygon></svg>
                             <svg class="pause-icon hidden" xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="6" y="4" width="4" height="16"></rect><rect x="14" y="4" width="4" height="16"></rect></svg>
-                            <span style="margin-left: 0.5rem; font-weight: 600;">Play Lesson Audio</span>
+                            <span style="margin-left: 0.5rem; font-weight: 600;">${escapeHtml(this.t('audio.lesson'))}</span>
                         </button>
                     `;
                     quizHeader.appendChild(audioBtnContainer);
                 }
             } else if (sec.type === 'text') {
                 // render passage as a card
-                const { card, content } = this.createSectionCard(sec.heading || `Reading Passage`, {
-                    cardClasses: ['passage-card']
+                const { card, content } = this.createSectionCard(sec.heading || this.t('passage.heading'), {
+                    cardClasses: ['passage-card'],
+                    lang: sec.lang
                 });
 
                 const passageWrapper = document.createElement('div');
                 passageWrapper.className = 'passage-wrapper';
+                // Passages without their own recording are read in the lesson recording
+                if (!sec.audioSrc && this.audioSrc) passageWrapper.dataset.lessonAudio = 'true';
 
-                // Audio toggle
-                const passageAudioButton = document.createElement('button');
-                passageAudioButton.type = 'button';
-                passageAudioButton.className = 'passage-audio-toggle';
-                passageAudioButton.title = 'Play Passage Audio';
-                passageAudioButton.innerHTML = `
-                    <svg class="play-icon" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="5 3 19 12 5 21 5 3"></polygon></svg>
-                    <svg class="pause-icon hidden" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="6" y="4" width="4" height="16"></rect><rect x="14" y="4" width="4" height="16"></rect></svg>
-                `;
+                // Audio toggle: the passage's own recording, or TTS of its text
+                const passageAudioButton = this.createAudioToggle(this.t('audio.passage'), sec.audioSrc);
 
                 // Add header to card content
                 const cardHeader = card.querySelector('.section-card-header');
@@ -1346,23 +2619,32 @@ class TjQuizElement extends HTMLElement {
                     cardHeader.appendChild(passageAudioButton);
                 }
 
-                const paragraphs = sec.text.split(/\n\s*\n/);
-                paragraphs.forEach(p => {
+                // Passages read by TTS highlight each word as it is spoken; clicking one reads on from there
+                if (!sec.audioSrc) passageWrapper.classList.add('tts-words');
+
+                const paragraphs = sec.text.trim().split(/\n\s*\n/);
+                let spokenOffset = 0;
+                paragraphs.forEach((p, paragraphIndex) => {
                     const passageTextEl = document.createElement('p');
                     passageTextEl.className = 'passage-text';
+                    const stamp = sec.timestamps ? sec.timestamps[paragraphIndex] : null;
+                    if (stamp !== null && stamp !== undefined) passageTextEl.dataset.stamp = String(stamp);
                     if (sec.listening) passageTextEl.classList.add('listening-hidden');
-                    passageTextEl.textContent = p.trim();
+                    passageTextEl.innerHTML = this.richText(p.trim());
+                    // Offsets follow getAudioFallbackText: paragraphs joined with one newline
+                    spokenOffset += this.wrapSpokenWords(passageTextEl, spokenOffset, sec.lang || this.ttsLang) + 1;
                     passageWrapper.appendChild(passageTextEl);
                 });
 
                 content.appendChild(passageWrapper);
                 dynamicContent.appendChild(card);
             } else if (sec.type === 'instructions') {
-                const headingText = sec.heading || `Instructions`;
-                const descriptionHtml = sec.body ? this.formatTextWithLineBreaks(sec.body) : '';
+                const headingText = sec.heading || this.t('instructions.heading');
+                const descriptionHtml = sec.body ? this.richText(sec.body) : '';
                 const { card } = this.createSectionCard(headingText, {
                     descriptionHtml,
-                    cardClasses: ['instruction-card']
+                    cardClasses: ['instruction-card'],
+                    lang: sec.lang
                 });
                 dynamicContent.appendChild(card);
             } else if (sec.type === 'vocab') {
@@ -1375,15 +2657,21 @@ class TjQuizElement extends HTMLElement {
                 if (clozeData) {
                     this.renderClozeInline(clozeData, dynamicContent, clozeRenderIndex - 1);
                 }
+            } else if (sec.type === 'order') {
+                const orderData = this.orderSections[orderRenderIndex++];
+                if (orderData) {
+                    this.renderOrderInline(orderData, dynamicContent, orderRenderIndex - 1);
+                }
             } else if (sec.type === 'questions') {
                 // Questions always rendered as a standalone card
-                const { card, content } = this.createSectionCard('Comprehension Questions', {
-                    cardClasses: ['questions-card']
+                const { card, content } = this.createSectionCard(this.t('questions.heading'), {
+                    cardClasses: ['questions-card'],
+                    lang: sec.lang
                 });
 
                 const qInstruction = document.createElement('p');
                 qInstruction.className = 'reading-instructions instruction';
-                qInstruction.textContent = 'Read each question and select the best answer from the choices below.';
+                qInstruction.textContent = this.t('questions.instructions');
                 content.appendChild(qInstruction);
 
                 dynamicContent.appendChild(card);
@@ -1395,7 +2683,26 @@ class TjQuizElement extends HTMLElement {
                         this.shuffleArray(questionsForSection);
                         questionsForSection = questionsForSection.slice(0, maxForSection);
                     }
-                    questionsForSection.forEach(q => orderedQuestionItems.push({ question: q, container: content }));
+                    // Carry the section's scoring rule onto each drawn question
+                    questionsForSection.forEach(q => orderedQuestionItems.push({
+                        question: { ...q, scoring: sec.scoring },
+                        container: content
+                    }));
+                }
+            }
+
+            // `time=` sections count down on their card (see updateTimers)
+            const card = dynamicContent.lastElementChild;
+            if (sec.timeLimit && card && card !== previousCard) {
+                card.dataset.timeLimit = sec.timeLimit;
+                card.dataset.section = sectionIndex;
+                const header = card.querySelector('.section-card-header');
+                if (header) {
+                    const countdown = document.createElement('span');
+                    countdown.className = 'section-timer';
+                    countdown.setAttribute('role', 'timer');
+                    countdown.textContent = this.formatClock(sec.timeLimit);
+                    header.appendChild(countdown);
                 }
             }
         });
@@ -1410,49 +2717,173 @@ class TjQuizElement extends HTMLElement {
             const container = item && item.container ? item.container : dynamicContent;
             container.appendChild(this.createQuestionBlock(q, idx));
         });
+
+        this.drawTarget = null;
+        this.applyAudioTimings();
     }
 
-    getStudentInputs() {
-        return [
-            this.shadowRoot.getElementById('nickname'),
-            this.shadowRoot.getElementById('homeroom'),
-            this.shadowRoot.getElementById('studentId')
-        ].filter(Boolean);
+    // Fields asked for when the quiz has no ---student section. Their labels follow the locale.
+    // An LMS knows the learner's name and ID but not their homeroom, so that is left out there.
+    defaultStudentFields() {
+        const fields = [
+            { key: 'nickname', labelKey: 'student.nickname', reportKey: 'result.name', placeholder: 'Jake' },
+            { key: 'homeroom', labelKey: 'student.homeroom', reportKey: 'result.class', placeholder: '1/1' },
+            { key: 'studentId', labelKey: 'student.studentId', reportKey: 'result.id', placeholder: '01' }
+        ].map(field => ({ label: '', required: true, pattern: '', choices: [], type: 'text', ...field }));
+        return this.scorm ? fields.filter(field => field.key !== 'homeroom') : fields;
     }
 
-    showStudentInfoAlert(message = '', type = '') {
-        const alert = this.shadowRoot.getElementById('studentInfoAlert');
-        if (!alert) return;
-        alert.textContent = message;
-        alert.className = type ? type : '';
+    studentFieldLabel(field) {
+        return field.labelKey ? this.t(field.labelKey) : field.label;
     }
 
-    validateStudentInfoFields(options = {}) {
-        const { showAlert = true } = options;
-        const inputs = this.getStudentInputs();
-        let allValid = true;
+    // Build the identity form: a list for fields with choices, otherwise a text/email/number input
+    renderStudentFields() {
+        const container = this.shadowRoot.getElementById('studentFields');
+        if (!container) return;
+        container.innerHTML = '';
 
-        inputs.forEach(input => {
-            if (input.value.trim() === '') {
-                allValid = false;
-                input.classList.add('invalid');
-            } else {
-                input.classList.remove('invalid');
+        this.studentFields.forEach(field => {
+            const inputId = `student-${field.key}`;
+            const group = document.createElement('div');
+            group.className = 'input-group';
+
+            const label = document.createElement('label');
+            label.className = 'input-label';
+            label.htmlFor = inputId;
+            const labelText = document.createElement('span');
+            if (field.labelKey) labelText.dataset.i18n = field.labelKey;
+            labelText.textContent = this.studentFieldLabel(field);
+            label.appendChild(labelText);
+            if (!field.required) {
+                const optional = document.createElement('span');
+                optional.className = 'input-optional';
+                optional.dataset.i18n = 'student.optional';
+                optional.textContent = this.t('student.optional');
+                label.append(' ', optional);
             }
+            group.appendChild(label);
+
+            let input;
+            if (field.choices.length > 0) {
+                input = document.createElement('select');
+                const prompt = document.createElement('option');
+                prompt.value = '';
+                prompt.dataset.i18n = 'student.choose';
+                prompt.textContent = this.t('student.choose');
+                input.appendChild(prompt);
+                field.choices.forEach(choice => {
+                    const option = document.createElement('option');
+                    option.value = choice;
+                    option.textContent = choice;
+                    input.appendChild(option);
+                });
+            } else {
+                input = document.createElement('input');
+                input.type = field.type;
+                if (field.placeholder) input.placeholder = field.placeholder;
+                if (field.type === 'email') input.autocomplete = 'email';
+            }
+            input.id = inputId;
+            input.name = field.key;
+            input.className = 'form-input';
+            input.dataset.studentField = field.key;
+            if (field.required) input.setAttribute('aria-required', 'true');
+            group.appendChild(input);
+            container.appendChild(group);
+        });
+    }
+
+    getStudentInputs() {
+        return Array.from(this.shadowRoot.querySelectorAll('[data-student-field]'));
+    }
+
+    // key -> trimmed value of every identity field (empty for `---student gate=off`)
+    getStudentInfo() {
+        const info = {};
+        this.getStudentInputs().forEach(input => {
+            info[input.dataset.studentField] = input.value.trim();
+        });
+        return info;
+    }
+
+    isStudentValueValid(field, input) {
+        const value = input.value.trim();
+        if (field.pattern && !new RegExp(`^(?:${field.pattern})$`, 'u').test(value)) return false;
+        return !(input.validity && input.validity.typeMismatch);
+    }
+
+    showStudentInfoAlert(message = '', type = '') {
+        const alert = this.shadowRoot.getElementById('studentInfoAlert');
+        if (!alert) return;
+        alert.textContent = message;
+        alert.className = type ? type : '';
+    }
+
+    validateStudentInfoFields(options = {}) {
+        const { showAlert = true } = options;
+        let missing = false;
+        let badField = null; // first field whose value does not fit its pattern or type
+
+        this.getStudentInputs().forEach(input => {
+            const field = this.studentFields.find(f => f.key === input.dataset.studentField);
+            let valid = true;
+            if (input.value.trim() === '') {
+                valid = !field.required;
+                if (!valid) missing = true;
+            } else if (!this.isStudentValueValid(field, input)) {
+                valid = false;
+                if (!badField) badField = field;
+            }
+            input.classList.toggle('invalid', !valid);
         });
 
         if (showAlert) {
-            if (!allValid) {
-                this.showStudentInfoAlert('Please fill out all student information fields before continuing.', 'error');
+            if (missing) {
+                this.showStudentInfoAlert(this.t('student.fillAll'), 'error');
+            } else if (badField) {
+                this.showStudentInfoAlert(this.t('student.checkField', { field: this.studentFieldLabel(badField) }), 'error');
             } else {
                 this.showStudentInfoAlert();
             }
         }
 
-        return allValid;
+        return !missing && !badField;
+    }
+
+    // Fill identity fields the LMS already knows (name and ID) and make them read-only.
+    // Returns true when that completes the form, so the gate can be skipped.
+    prefillStudentFromLms() {
+        if (!this.scorm) return false;
+        const learner = this.scorm.learner();
+        const known = { nickname: learner.name, name: learner.name, studentId: learner.id, id: learner.id };
+        this.getStudentInputs().forEach(input => {
+            const value = known[input.dataset.studentField];
+            if (value) {
+                input.value = value;
+                input.readOnly = true;
+            }
+        });
+        return this.isStudentInfoComplete();
+    }
+
+    // validateStudentInfoFields without marking fields or showing the alert
+    isStudentInfoComplete() {
+        return this.getStudentInputs().every(input => {
+            const field = this.studentFields.find(f => f.key === input.dataset.studentField);
+            return input.value.trim() === '' ? !field.required : this.isStudentValueValid(field, input);
+        });
     }
 
     lockQuizContent() {
+        // With `---student gate=off` there is no identity form: the quiz is open straight away.
+        // The same goes when the LMS has filled in every field.
+        if (!this.studentGate || this.prefillStudentFromLms()) {
+            const studentInfoSection = this.shadowRoot.getElementById('studentInfoSection');
+            if (studentInfoSection) studentInfoSection.style.display = 'none';
+            this.unlockQuizContent();
+            return;
+        }
         const quizContent = this.shadowRoot.getElementById('quizContent');
         const startButton = this.shadowRoot.getElementById('startQuizButton');
         if (quizContent) quizContent.classList.add('hidden');
@@ -1461,18 +2892,40 @@ class TjQuizElement extends HTMLElement {
         this.showStudentInfoAlert();
     }
 
-    unlockQuizContent() {
+    // `resumed` is the autosave being resumed, whose time spent carries on
+    unlockQuizContent(resumed = null) {
         const quizContent = this.shadowRoot.getElementById('quizContent');
         const startButton = this.shadowRoot.getElementById('startQuizButton');
         if (quizContent) quizContent.classList.remove('hidden');
         if (startButton) startButton.classList.add('hidden');
+        // Resuming on a quiz that opened without a gate: quiz-start was already sent
+        const alreadyStarted = this.quizUnlocked;
         this.quizUnlocked = true;
+        // A timed attempt runs on the wall clock, so reloading the page does not stop its time
+        if (resumed && resumed.startedAt && this.isTimed()) {
+            this.attemptStartedAt = resumed.startedAt;
+        } else {
+            this.attemptStartedAt = Date.now() - (resumed ? (resumed.elapsed || 0) * 1000 : 0);
+        }
+        this.sectionStarts = resumed && resumed.sectionStarts ? { ...resumed.sectionStarts } : {};
+        if (!alreadyStarted) {
+            this.emit('quiz-start', {
+                student: this.getStudentInfo(),
+                startedAt: new Date(this.attemptStartedAt).toISOString(),
+                resumed: !!resumed
+            });
+        }
+        this.startTimers();
     }
 
+    // Returns whether the quiz was unlocked
     handleStartQuiz() {
-        if (!this.validateStudentInfoFields({ showAlert: true })) return;
+        if (!this.validateStudentInfoFields({ showAlert: true })) return false;
+        // Starting afresh: any unfinished attempt stays saved but is no longer offered
+        this.pendingResume = null;
+        this.renderResumePrompt();
         this.unlockQuizContent();
-        this.showStudentInfoAlert('Information saved! Scroll down to begin the quiz.', 'success');
+        this.showStudentInfoAlert(this.t('student.saved'), 'success');
         const dynamicContent = this.shadowRoot.getElementById('dynamicContent');
         try {
             if (dynamicContent) {
@@ -1483,6 +2936,171 @@ class TjQuizElement extends HTMLElement {
         } catch (e) {
             this.scrollIntoView({ behavior: 'smooth', block: 'start' });
         }
+        return true;
+    }
+
+    // Seconds the whole attempt may take: the time-limit attribute, else the quiz's ---settings (0 for untimed)
+    getTimeLimit() {
+        if (this.timeLimit) return this.timeLimit;
+        return this.ast ? this.ast.settings.timeLimit : 0;
+    }
+
+    // Seconds left at which the student is warned, longest first; one minute unless configured
+    getTimeWarnings() {
+        const configured = this.timeWarnings || (this.ast && this.ast.settings.timeWarnings.length > 0 ? this.ast.settings.timeWarnings : [60]);
+        return configured.filter(seconds => seconds < this.getTimeLimit()).sort((a, b) => b - a);
+    }
+
+    // Whether the quiz has a time limit or any `time=` section
+    isTimed() {
+        return this.getTimeLimit() > 0 || !!this.shadowRoot.querySelector('#dynamicContent [data-time-limit]');
+    }
+
+    // The quiz countdown runs from attemptStartedAt; each `time=` section's from when it is first
+    // shown or reached (see startSectionTime)
+    startTimers() {
+        this.stopTimers();
+        this.timedOut = false;
+        this.timeWarningsGiven = [];
+        const timer = this.shadowRoot.getElementById('quizTimer');
+        const alert = this.shadowRoot.getElementById('quizTimerAlert');
+        if (alert) alert.textContent = '';
+        if (timer) {
+            timer.classList.toggle('hidden', !this.getTimeLimit());
+            timer.classList.remove('warning', 'expired');
+        }
+        if (!this.isTimed()) return;
+        if (this.getTimeLimit()) this.renderTimer(this.getTimeLimit() - (Date.now() - this.attemptStartedAt) / 1000);
+        const sectionCards = Array.from(this.shadowRoot.querySelectorAll('#dynamicContent [data-time-limit]'));
+        sectionCards.forEach(card => {
+            const left = this.getSectionTimeLeft(card);
+            const countdown = card.querySelector('.section-timer');
+            if (left !== null && countdown) countdown.textContent = this.formatClock(left);
+        });
+        // The first tick comes a second later, after a resumed attempt has put its answers back
+        this.timerInterval = setInterval(() => this.updateTimers(), 1000);
+        if (sectionCards.length > 0) {
+            if (typeof IntersectionObserver === 'function') {
+                this.sectionObserver = new IntersectionObserver(entries => {
+                    entries.forEach(entry => { if (entry.isIntersecting) this.startSectionTime(entry.target); });
+                });
+                sectionCards.forEach(card => this.sectionObserver.observe(card));
+            } else {
+                sectionCards.forEach(card => this.startSectionTime(card));
+            }
+        }
+    }
+
+    stopTimers() {
+        if (this.timerInterval) clearInterval(this.timerInterval);
+        this.timerInterval = null;
+        if (this.sectionObserver) this.sectionObserver.disconnect();
+        this.sectionObserver = null;
+    }
+
+    // A `time=` section's clock starts the first time its card is on screen or the student works in it
+    startSectionTime(card) {
+        const index = card.dataset.section;
+        if (!this.timerInterval || index === undefined || this.sectionStarts[index]) return;
+        this.sectionStarts[index] = Date.now();
+        if (this.sectionObserver) this.sectionObserver.unobserve(card);
+        this.saveAttempt();
+    }
+
+    // Seconds left in a `time=` section, or null while its clock has not started
+    getSectionTimeLeft(card) {
+        const startedAt = this.sectionStarts[card.dataset.section];
+        if (!startedAt) return null;
+        return parseInt(card.dataset.timeLimit) - (Date.now() - startedAt) / 1000;
+    }
+
+    // Once a second: section countdowns, warnings, and handing the attempt in when time is up
+    updateTimers() {
+        const elapsed = (Date.now() - this.attemptStartedAt) / 1000;
+        const running = Array.from(this.shadowRoot.querySelectorAll('#dynamicContent [data-time-limit]:not(.time-up)'));
+        running.forEach(card => {
+            const left = this.getSectionTimeLeft(card);
+            if (left === null) return;
+            const countdown = card.querySelector('.section-timer');
+            if (left <= 0) {
+                this.endSectionTime(card);
+            } else if (countdown) {
+                countdown.textContent = this.formatClock(left);
+            }
+        });
+
+        const limit = this.getTimeLimit();
+        if (!limit) {
+            if (running.every(card => card.classList.contains('time-up'))) this.stopTimers();
+            return;
+        }
+        const left = limit - elapsed;
+        this.renderTimer(left);
+        if (left <= 0) {
+            this.timedOut = true;
+            this.stopTimers();
+            const timer = this.shadowRoot.getElementById('quizTimer');
+            const alert = this.shadowRoot.getElementById('quizTimerAlert');
+            if (timer) timer.classList.add('expired');
+            if (alert) alert.textContent = this.t('timer.timeUp');
+            // Unanswered items are scored as wrong, as with submit()
+            if (!this.results) this.showFinalScore();
+            return;
+        }
+        const crossed = this.getTimeWarnings().filter(seconds => left <= seconds && !this.timeWarningsGiven.includes(seconds));
+        if (crossed.length > 0) {
+            this.timeWarningsGiven.push(...crossed);
+            const alert = this.shadowRoot.getElementById('quizTimerAlert');
+            if (alert) alert.textContent = this.t('timer.warning', { time: this.formatClock(left) });
+        }
+    }
+
+    renderTimer(secondsLeft) {
+        const timer = this.shadowRoot.getElementById('quizTimer');
+        const value = this.shadowRoot.getElementById('quizTimerValue');
+        const warnings = this.getTimeWarnings();
+        if (value) value.textContent = this.formatClock(Math.max(0, secondsLeft));
+        if (timer) timer.classList.toggle('warning', warnings.length > 0 && secondsLeft <= warnings[0]);
+    }
+
+    // A `time=` section ran out: its passage is put away and its answers can no longer change
+    endSectionTime(card) {
+        card.classList.add('time-up');
+        const countdown = card.querySelector('.section-timer');
+        if (countdown) countdown.textContent = this.formatClock(0);
+        const playing = [this.currentAudioButton, this.ttsSession && this.ttsSession.button];
+        if (playing.some(button => button && card.contains(button))) this.stopAllAudio();
+        card.querySelectorAll('.passage-wrapper').forEach(wrapper => wrapper.classList.add('hidden'));
+        card.querySelectorAll('input, select, textarea, button').forEach(control => { control.disabled = true; });
+        card.querySelectorAll('[draggable="true"]').forEach(item => { item.draggable = false; });
+        const note = document.createElement('p');
+        note.className = 'time-up-note';
+        note.setAttribute('role', 'status');
+        note.textContent = this.t('timer.sectionTimeUp');
+        const header = card.querySelector('.section-card-header');
+        if (header) header.after(note);
+        else card.prepend(note);
+        // Its unanswered items no longer hold up Check My Score
+        this.updateCheckScoreButtonState();
+    }
+
+    // 75 -> "1:15", 3725 -> "1:02:05" (partial seconds round up, so 0:00 only shows when time is up)
+    formatClock(seconds) {
+        const total = Math.max(0, Math.ceil(seconds));
+        const pad = value => String(value).padStart(2, '0');
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor(total / 60) % 60;
+        return hours ? `${hours}:${pad(minutes)}:${pad(total % 60)}` : `${minutes}:${pad(total % 60)}`;
+    }
+
+    // Timing fields for the payload and results of a timed quiz ({} when it has no time limits)
+    getTimingResults() {
+        if (!this.isTimed()) return {};
+        return {
+            timeSpent: this.attemptSeconds,
+            timeLimit: this.getTimeLimit(),
+            timedOut: this.timedOut
+        };
     }
 
     checkInitialCompletion() {
@@ -1502,22 +3120,54 @@ class TjQuizElement extends HTMLElement {
     }
 
     checkAllQuestionsAnswered() {
-        return this.questionsAnswered === this.totalQuestions;
+        // Blank typed answers and empty checkbox sets are never stored, so every entry counts
+        if (this.questionsAnswered === this.totalQuestions) return true;
+        const timedOut = this.shadowRoot.querySelectorAll('#dynamicContent .time-up');
+        if (timedOut.length === 0) return false;
+        for (let i = 0; i < this.totalQuestions; i++) {
+            const input = this.shadowRoot.querySelector(`[name="q${i}"]`);
+            if (this.userQuestionAnswers[i] === undefined && !(input && input.closest('.time-up'))) return false;
+        }
+        return true;
     }
 
     showQuestionFeedback() {
         // Iterate through the rendered questions and reveal correct/incorrect states
         this.score = 0; // recalc
+        this.itemResults.questions = [];
         for (let i = 0; i < this.totalQuestions; i++) {
             const questionData = this.currentQuestions[i];
             const qName = `q${i}`;
             const userAnswer = this.userQuestionAnswers[i];
+            const correctAnswers = questionData.answers || [questionData.a];
+            const selected = Array.isArray(userAnswer) ? userAnswer : (userAnswer ? [userAnswer] : []);
+
+            const record = {
+                section: 'questions',
+                prompt: questionData.q,
+                response: selected.join('; '),
+                answer: questionData.type === 'multi' ? correctAnswers.join('; ') : questionData.a,
+                correct: false,
+                points: 0
+            };
+            this.itemResults.questions.push(record);
+
+            if (questionData.type === 'short' || questionData.type === 'numeric') {
+                const points = this.scoreQuestion(questionData, selected);
+                record.points = points;
+                record.correct = points === 1;
+                this.showTypedAnswerFeedback(qName, questionData, points);
+                const explanation = this.shadowRoot.getElementById(`explanation-q${i}`);
+                if (explanation) explanation.classList.remove('hidden');
+                this.score += points;
+                continue;
+            }
 
-            const radioButtons = this.shadowRoot.querySelectorAll(`input[name="${qName}"]`);
-            radioButtons.forEach(radio => {
-                const label = radio.closest('.option-label');
+            const optionInputs = this.shadowRoot.querySelectorAll(`input[name="${qName}"]`);
+            optionInputs.forEach(input => {
+                const label = input.closest('.option-label');
                 // disable inputs now to prevent changes after checking
-                radio.disabled = true;
+                input.disabled = true;
                 let feedbackIcon = label.querySelector('.feedback-icon');
                 if (!feedbackIcon) {
                     feedbackIcon = document.createElement('span');
@@ -1525,26 +3175,109 @@ class TjQuizElement extends HTMLElement {
                     label.appendChild(feedbackIcon);
                 }
 
-                if (radio.value === questionData.a) {
+                if (correctAnswers.includes(input.value)) {
                     label.classList.add('correct');
                     feedbackIcon.textContent = '✅';
                 }
-                if (userAnswer && radio.value === userAnswer && userAnswer !== questionData.a) {
+                if (selected.includes(input.value) && !correctAnswers.includes(input.value)) {
                     label.classList.add('incorrect');
                     feedbackIcon.textContent = '❌';
                 }
             });
 
+            const points = this.scoreQuestion(questionData, selected);
+            record.points = points;
+            record.correct = points === 1;
+            if (questionData.type === 'multi') {
+                this.showQuestionPoints(qName, points);
+            }
+
             // Show explanation if available
             const explanation = this.shadowRoot.getElementById(`explanation-q${i}`);
             if (explanation) explanation.classList.remove('hidden');
 
-            if (userAnswer === questionData.a) this.score++;
+            this.score += points;
+        }
+    }
+
+    // Points (0..1) earned for a question given the selected option values (or typed response)
+    scoreQuestion(questionData, selected) {
+        const correctAnswers = questionData.answers || [questionData.a];
+        if (questionData.type === 'short') {
+            const response = this.normalizeTypedAnswer(selected[0] || '');
+            return response && correctAnswers.some(answer => this.normalizeTypedAnswer(answer) === response) ? 1 : 0;
+        }
+        if (questionData.type === 'numeric') {
+            return this.isNumericAnswerCorrect(questionData.numeric, selected[0] || '') ? 1 : 0;
+        }
+        if (questionData.type !== 'multi') {
+            return selected.length === 1 && correctAnswers.includes(selected[0]) ? 1 : 0;
+        }
+
+        const rightPicks = selected.filter(value => correctAnswers.includes(value)).length;
+        const wrongPicks = selected.length - rightPicks;
+        if (questionData.scoring === 'partial') {
+            // One share per correct pick, minus one share per wrong pick, never below zero
+            return Math.max(0, (rightPicks - wrongPicks) / correctAnswers.length);
+        }
+        return rightPicks === correctAnswers.length && wrongPicks === 0 ? 1 : 0;
+    }
+
+    // Case-insensitive, whitespace-collapsed comparison form for short answers
+    normalizeTypedAnswer(text) {
+        return String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    isNumericAnswerCorrect(expected, response) {
+        const parsed = parseNumericAnswer(response);
+        if (!parsed) return false;
+        // Students may repeat the unit but must not give a different one
+        if (parsed.unit && parsed.unit.toLowerCase() !== expected.unit.toLowerCase()) return false;
+        // Small epsilon so 9.7 counts inside "9.8 ±0.1" despite floating point error
+        return Math.abs(parsed.value - expected.value) <= expected.tolerance + 1e-9;
+    }
+
+    showTypedAnswerFeedback(qName, questionData, points) {
+        const input = this.shadowRoot.querySelector(`input[name="${qName}"]`);
+        const block = input ? input.closest('.question-block') : null;
+        if (!block) return;
+        input.disabled = true;
+        const feedbackIcon = block.querySelector('.typed-answer-group .feedback-icon');
+        const correctEl = block.querySelector('.typed-answer-correct');
+        if (points === 1) {
+            input.classList.add('correct');
+            if (feedbackIcon) feedbackIcon.textContent = '✅';
+        } else {
+            input.classList.add('incorrect');
+            if (feedbackIcon) feedbackIcon.textContent = '❌';
+            if (correctEl) {
+                correctEl.textContent = this.t('questions.correctAnswer', { answer: questionData.a });
+                correctEl.classList.remove('hidden');
+            }
         }
     }
 
+    showQuestionPoints(qName, points) {
+        const firstInput = this.shadowRoot.querySelector(`input[name="${qName}"]`);
+        const block = firstInput ? firstInput.closest('.question-block') : null;
+        if (!block) return;
+        let pointsEl = block.querySelector('.question-points');
+        if (!pointsEl) {
+            pointsEl = document.createElement('p');
+            pointsEl.className = 'question-points';
+            block.querySelector('.options-group').after(pointsEl);
+        }
+        pointsEl.textContent = this.t('questions.points', { points: this.formatPoints(points) });
+    }
+
+    // Scores can be fractional with partial credit; show at most two decimals
+    formatPoints(value) {
+        return this.formatNumber(Math.round(value * 100) / 100, { maximumFractionDigits: 2 });
+    }
+
     handleAnswer(e) {
-        if (e.target.type !== 'radio') return;
+        const isTyped = e.target.classList && e.target.classList.contains('typed-answer-input');
+        if (e.target.type !== 'radio' && e.target.type !== 'checkbox' && !isTyped) return;
 
         const selectedRadio = e.target;
         const questionName = selectedRadio.name;
@@ -1554,7 +3287,25 @@ class TjQuizElement extends HTMLElement {
 
         const questionIndex = parseInt(questionName.substring(1));
         // Record the user's selected answer but do not reveal feedback yet
-        this.userQuestionAnswers[questionIndex] = selectedRadio.value;
+        if (isTyped) {
+            const typed = selectedRadio.value.trim();
+            if (typed) {
+                this.userQuestionAnswers[questionIndex] = typed;
+            } else {
+                delete this.userQuestionAnswers[questionIndex];
+            }
+        } else if (selectedRadio.type === 'checkbox') {
+            // Multi-answer questions store every ticked value; none ticked means unanswered
+            const checked = Array.from(this.shadowRoot.querySelectorAll(`input[name="${questionName}"]:checked`))
+                .map(input => input.value);
+            if (checked.length > 0) {
+                this.userQuestionAnswers[questionIndex] = checked;
+            } else {
+                delete this.userQuestionAnswers[questionIndex];
+            }
+        } else {
+            this.userQuestionAnswers[questionIndex] = selectedRadio.value;
+        }
 
         // Mark radio as answered to avoid double-counting, but keep enabled so user can change before checking
         selectedRadio.dataset.answered = 'true';
@@ -1564,19 +3315,16 @@ class TjQuizElement extends HTMLElement {
         this.questionsAnswered = answeredCount;
 
         // Enable check score button when all questions are answered and vocabulary/cloze are complete
-        const vocabComplete = this.vocabularySections.length === 0 || Object.keys(this.vocabUserChoices).length === this.getTotalVocabWords();
-        const questionsComplete = this.checkAllQuestionsAnswered();
-        const clozeComplete = this.checkAllClozeAnswered();
+        this.updateCheckScoreButtonState();
 
-        if (vocabComplete && questionsComplete && clozeComplete) {
-            this.shadowRoot.getElementById('checkScoreButton').disabled = false;
-        }
+        const answer = this.userQuestionAnswers[questionIndex];
+        this.emitAnswerChange('questions', String(questionIndex), Array.isArray(answer) ? answer.slice() : (answer || ''));
     }
 
     handleSubmit(e) {
         e.preventDefault();
         if (!this.quizUnlocked) {
-            this.showStudentInfoAlert('Please save your student information before taking the quiz.', 'error');
+            this.showStudentInfoAlert(this.t('student.saveFirst'), 'error');
             return;
         }
         if (!this.validateStudentInfoFields({ showAlert: true })) {
@@ -1586,6 +3334,12 @@ class TjQuizElement extends HTMLElement {
     }
 
     showFinalScore() {
+        this.stopTimers();
+        this.attemptSeconds = this.attemptStartedAt ? Math.round((Date.now() - this.attemptStartedAt) / 1000) : 0;
+        this.attemptNumber = this.countAttempt();
+        this.submissionId = this.createSubmissionId();
+        this.queuedSubmissionId = '';
+
         // Reveal question feedback before calculating final question score
         if (this.totalQuestions > 0) {
             this.showQuestionFeedback();
@@ -1600,6 +3354,10 @@ class TjQuizElement extends HTMLElement {
             this.showClozeScore();
         }
 
+        if (this.orderSections.length > 0 && !this.orderSubmitted) {
+            this.showOrderScore();
+        }
+
         const resultScore = this.shadowRoot.getElementById('resultScore');
         const checkScoreContainer = this.shadowRoot.getElementById('checkScoreContainer');
         const resultArea = this.shadowRoot.getElementById('resultArea');
@@ -1608,21 +3366,23 @@ class TjQuizElement extends HTMLElement {
         const tryAgainButton = this.shadowRoot.getElementById('tryAgainButton');
         const studentInfoSection = this.shadowRoot.getElementById('studentInfoSection');
 
-        // Calculate total score (vocabulary + cloze + questions)
+        // Calculate total score (vocabulary + cloze + ordering + questions)
         const vocabTotal = this.getTotalVocabWords();
         const clozeTotal = this.clozeSections.reduce((total, section) => total + section.words.length, 0);
+        const orderTotal = this.getTotalOrderPoints();
         const questionTotal = this.totalQuestions;
-        const totalPossible = vocabTotal + clozeTotal + questionTotal;
-        const totalEarned = this.vocabScore + this.clozeScore + this.score;
+        const totalPossible = vocabTotal + clozeTotal + orderTotal + questionTotal;
+        const totalEarned = this.vocabScore + this.clozeScore + this.orderScore + this.score;
 
         // Get student info
-        const nickname = this.shadowRoot.getElementById('nickname').value || '-';
-        const homeroom = this.shadowRoot.getElementById('homeroom').value || '-';
-        const studentId = this.shadowRoot.getElementById('studentId').value || '-';
+        const studentInfo = this.getStudentInfo();
+        const studentRows = this.studentFields.map(field => {
+            const label = field.reportKey ? this.t(field.reportKey) : `${field.label}:`;
+            return `<div><strong>${escapeHtml(label)}</strong> ${escapeHtml(studentInfo[field.key] || '-')}</div>`;
+        }).join('');
 
         // Get timestamp
-        const now = new Date();
-        const timestamp = now.toLocaleString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+        const timestamp = this.formatDateTime(new Date());
 
         // Hide student info section
         if (studentInfoSection) {
@@ -1637,37 +3397,42 @@ class TjQuizElement extends HTMLElement {
             if (vocabTotal > 0) {
                 breakdownHTML += `
                     <div class="score-section">
-                        <span class="score-label">Vocabulary</span>
-                        <span class="score-value">${this.vocabScore}/${vocabTotal}</span>
+                        <span class="score-label">${escapeHtml(this.t('result.vocab'))}</span>
+                        <span class="score-value">${this.formatNumber(this.vocabScore)}/${this.formatNumber(vocabTotal)}</span>
                     </div>`;
             }
             if (clozeTotal > 0) {
                 breakdownHTML += `
                     <div class="score-section">
-                        <span class="score-label">Fill-in-the-blank</span>
-                        <span class="score-value">${this.clozeScore}/${clozeTotal}</span>
+                        <span class="score-label">${escapeHtml(this.t('result.cloze'))}</span>
+                        <span class="score-value">${this.formatNumber(this.clozeScore)}/${this.formatNumber(clozeTotal)}</span>
+                    </div>`;
+            }
+            if (orderTotal > 0) {
+                breakdownHTML += `
+                    <div class="score-section">
+                        <span class="score-label">${escapeHtml(this.t('result.order'))}</span>
+                        <span class="score-value">${this.formatNumber(this.orderScore)}/${this.formatNumber(orderTotal)}</span>
                     </div>`;
             }
             if (questionTotal > 0) {
                 breakdownHTML += `
                     <div class="score-section">
-                        <span class="score-label">Questions</span>
-                        <span class="score-value">${this.score}/${questionTotal}</span>
+                        <span class="score-label">${escapeHtml(this.t('result.questions'))}</span>
+                        <span class="score-value">${this.formatPoints(this.score)}/${this.formatNumber(questionTotal)}</span>
                     </div>`;
             }
 
             resultScore.innerHTML = `
                 <div class="score-report-card">
-                    <div class="result-title">Performance Report</div>
+                    <div class="result-title">${escapeHtml(this.t('result.title'))}</div>
                     <div class="student-details">
-                        <div><strong>NAME:</strong> ${nickname}</div>
-                        <div><strong>ID:</strong> ${studentId}</div>
-                        <div><strong>CLASS:</strong> ${homeroom}</div>
-                        <div><strong>DATE:</strong> ${timestamp}</div>
+                        ${studentRows}
+                        <div><strong>${escapeHtml(this.t('result.date'))}</strong> ${escapeHtml(timestamp)}</div>
                     </div>
                     <div class="score-summary">
-                        <div class="score-main-compact">${totalEarned} / ${totalPossible}</div>
-                        <div class="score-percentage">${percentage}% Accuracy</div>
+                        <div class="score-main-compact">${this.formatPoints(totalEarned)} / ${this.formatNumber(totalPossible)}</div>
+                        <div class="score-percentage">${escapeHtml(this.t('result.accuracy', { percent: this.formatNumber(percentage / 100, { style: 'percent' }) }))}</div>
                     </div>
                     <div class="score-breakdown-compact">
                         ${breakdownHTML}
@@ -1675,7 +3440,7 @@ class TjQuizElement extends HTMLElement {
                 </div>
             `;
         } else {
-            resultScore.innerHTML = `<div class="score-report-card"><div class="score-main-compact">No score data available</div></div>`;
+            resultScore.innerHTML = `<div class="score-report-card"><div class="score-main-compact">${escapeHtml(this.t('result.noData'))}</div></div>`;
         }
 
         const scorePercentage = totalPossible > 0 ? totalEarned / totalPossible : 0;
@@ -1696,7 +3461,7 @@ class TjQuizElement extends HTMLElement {
         }
         if (sendButton) {
             sendButton.disabled = true;
-            sendButton.textContent = 'Resend Score to Teacher';
+            sendButton.textContent = this.t('submit.resend');
             sendButton.classList.add('hidden');
         }
         if (tryAgainButton) {
@@ -1711,9 +3476,53 @@ class TjQuizElement extends HTMLElement {
             }
         }
         this.stopAllAudio();
+        this.reportToScorm(totalEarned, totalPossible);
+
+        const passing = this.getPassingScore();
+        this.results = {
+            submissionId: this.submissionId,
+            score: Math.round(totalEarned * 100) / 100,
+            total: totalPossible,
+            percent: Math.round(scorePercentage * 100),
+            passed: passing === null ? null : scorePercentage >= passing,
+            student: studentInfo,
+            ...this.getDetailedResults(),
+            ...this.getTimingResults()
+        };
+        this.emit('quiz-scored', this.getResults());
         this.sendScore(true);
     }
 
+    // Pass mark as a fraction: the LMS's mastery score, else `passingScore` (percent); null for none
+    getPassingScore() {
+        const fromLms = this.scorm ? this.scorm.passingScore() : null;
+        if (fromLms !== null) return fromLms;
+        const percent = parseFloat(this.passingScore);
+        return isNaN(percent) ? null : percent / 100;
+    }
+
+    // Score, pass/fail, completion and one cmi.interactions entry per item, for the LMS gradebook
+    reportToScorm(totalEarned, totalPossible) {
+        if (!this.scorm) return;
+        const passing = this.getPassingScore();
+        const fraction = totalPossible > 0 ? totalEarned / totalPossible : 0;
+        const items = this.getDetailedResults().items.map(item => ({
+            ...item,
+            // Same question, same id in every attempt, however the attempt shuffled it
+            id: `${item.section}-${hashSource(`${item.prompt}\n${item.answer}`)}`
+        }));
+        try {
+            this.scorm.reportResult({
+                score: Math.round(totalEarned * 100) / 100,
+                total: totalPossible,
+                passed: passing === null ? null : fraction >= passing,
+                items
+            });
+        } catch (error) {
+            console.error('SCORM reporting failed:', error);
+        }
+    }
+
     async sendScore(autoTriggered = false) {
         if (this.autoSubmissionInProgress) {
             return;
@@ -1726,7 +3535,7 @@ class TjQuizElement extends HTMLElement {
         const infoValid = this.validateStudentInfoFields({ showAlert: true });
         if (!infoValid) {
             if (validationMessage) {
-                validationMessage.textContent = 'Please fill out all student information fields.';
+                validationMessage.textContent = this.t('submit.fillAll');
                 validationMessage.className = 'error';
             }
             if (sendButton && autoTriggered) {
@@ -1738,27 +3547,42 @@ class TjQuizElement extends HTMLElement {
 
         const vocabTotal = this.getTotalVocabWords();
         const clozeTotal = this.clozeSections.reduce((total, section) => total + section.words.length, 0);
+        const orderTotal = this.getTotalOrderPoints();
         const questionTotal = this.totalQuestions;
-        const totalPossible = vocabTotal + clozeTotal + questionTotal;
-        const totalEarned = this.vocabScore + this.clozeScore + this.score;
+        const totalPossible = vocabTotal + clozeTotal + orderTotal + questionTotal;
+        const totalEarned = this.vocabScore + this.clozeScore + this.orderScore + this.score;
 
+        // Student fields first, so none of them can replace the score's own keys
         const studentData = {
+            ...this.getStudentInfo(),
+            submissionId: this.submissionId,
             quizName: this.title,
-            nickname: this.shadowRoot.getElementById('nickname').value,
-            homeroom: this.shadowRoot.getElementById('homeroom').value,
-            studentId: this.shadowRoot.getElementById('studentId').value,
-            score: totalEarned,
+            score: Math.round(totalEarned * 100) / 100,
             total: totalPossible,
-            timestamp: new Date().toISOString()
+            timestamp: new Date().toISOString(),
+            ...this.getTimingResults()
         };
+        const adapter = getSubmissionAdapter(this.submissionAdapter);
+        if (this.submissionDetail === 'items' || (adapter && adapter.detail === 'items')) {
+            Object.assign(studentData, this.getDetailedResults());
+        }
+
+        if (!this.submissionUrl && this.scorm) {
+            // The LMS already has the score from reportToScorm
+            this.clearSavedAttempt();
+            this.showScoreSent(this.t('submit.savedToLms'));
+            return;
+        }
 
         if (!this.submissionUrl) {
+            // Nowhere to send it: the graded attempt is finished, there is nothing to resume
+            this.clearSavedAttempt();
             if (validationMessage) {
-                validationMessage.textContent = '⚠️ No submission URL configured.';
+                validationMessage.textContent = this.t('submit.noUrl');
                 validationMessage.className = 'error';
             }
             if (sendButton) {
-                sendButton.textContent = 'No Submission URL';
+                sendButton.textContent = this.t('submit.noUrlButton');
                 sendButton.disabled = true;
                 sendButton.classList.remove('hidden');
             }
@@ -1774,12 +3598,12 @@ class TjQuizElement extends HTMLElement {
                 sendButton.classList.add('hidden');
             } else {
                 sendButton.disabled = true;
-                sendButton.textContent = 'Sending...';
+                sendButton.textContent = this.t('submit.sending');
             }
         }
         if (validationMessage) {
             validationMessage.innerHTML = autoTriggered
-                ? '<span>Submitting score to teacher...</span>'
+                ? `<span>${escapeHtml(this.t('submit.submitting'))}</span>`
                 : '';
             validationMessage.className = '';
         }
@@ -1788,65 +3612,514 @@ class TjQuizElement extends HTMLElement {
         }
 
         try {
-            const response = await fetch(this.submissionUrl, {
-                method: 'POST',
-                mode: 'cors',
-                body: JSON.stringify(studentData)
+            const data = await this.postScore(this.submissionUrl, studentData);
+            this.removeQueuedSubmission(studentData.submissionId);
+            this.clearSavedAttempt();
+            this.emit('submission-success', {
+                submissionId: studentData.submissionId,
+                payload: studentData,
+                response: data,
+                queued: false
             });
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            this.showScoreSent(autoTriggered
+                ? this.t('submit.autoSubmitted')
+                : (data.message || this.t('submit.success')));
+            // The connection works: send anything still waiting from earlier attempts
+            this.flushOutbox();
+        } catch (error) {
+            console.error('Error:', error);
+            // Dropped connections and server hiccups are kept and retried; a rejected score is not
+            // The offline queue now holds the score, so the attempt need not be resumed. After a
+            // rejection it stays saved: reloading lets the student resume, check and send again.
+            if (error.retryable) {
+                this.queueSubmission(this.submissionUrl, studentData);
+                this.queuedSubmissionId = studentData.submissionId;
+                this.clearSavedAttempt();
             }
+            this.emit('submission-error', {
+                submissionId: studentData.submissionId,
+                payload: studentData,
+                error: error.message,
+                status: error.status || null,
+                retryable: !!error.retryable,
+                queued: !!error.retryable
+            });
+            this.showScoreFailed(this.t(error.retryable ? 'submit.queued' : 'submit.failed'), autoTriggered);
+        } finally {
+            this.autoSubmissionInProgress = false;
+        }
+    }
 
-            let data;
-            const contentType = response.headers.get('content-type');
-            if (contentType && contentType.includes('application/json')) {
-                data = await response.json();
-            } else {
-                const text = await response.text();
-                console.warn('Non-JSON response received:', text);
-                data = { message: 'Submission received (non-JSON response)' };
+    // Send a score with the named adapter. Errors carry `retryable`: true when the request never
+    // arrived or the server failed in a way worth trying again later (5xx, 408, 429).
+    async postScore(url, payload, adapterName = this.submissionAdapter, options = this.submissionOptions) {
+        const adapter = getSubmissionAdapter(adapterName);
+        if (!adapter) {
+            throw new Error(`Unknown submission adapter "${adapterName}".`);
+        }
+        return adapter.send(payload, { ...options, url });
+    }
+
+    showScoreSent(statusText) {
+        const validationMessage = this.shadowRoot.getElementById('validationMessage');
+        const sendButton = this.shadowRoot.getElementById('sendButton');
+        const tryAgainButton = this.shadowRoot.getElementById('tryAgainButton');
+        if (validationMessage) {
+            validationMessage.innerHTML = `
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>
+                <span>${escapeHtml(statusText)}</span>
+            `;
+            validationMessage.className = 'success';
+        }
+        if (sendButton) {
+            sendButton.textContent = this.t('submit.sent');
+            sendButton.disabled = true;
+            sendButton.classList.add('hidden');
+        }
+        if (tryAgainButton) {
+            tryAgainButton.disabled = false;
+        }
+        this.queuedSubmissionId = '';
+        this.scoreSubmitted = true;
+    }
+
+    // The score did not get through: say why and offer to send it again
+    showScoreFailed(statusText, autoTriggered = false) {
+        const validationMessage = this.shadowRoot.getElementById('validationMessage');
+        const sendButton = this.shadowRoot.getElementById('sendButton');
+        const tryAgainButton = this.shadowRoot.getElementById('tryAgainButton');
+        if (validationMessage) {
+            validationMessage.innerHTML = `
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"></circle><line x1="12" y1="8" x2="12" y2="12"></line><line x1="12" y1="16" x2="12.01" y2="16"></line></svg>
+                <span>${escapeHtml(statusText)}</span>
+            `;
+            validationMessage.className = 'error';
+        }
+        if (sendButton) {
+            sendButton.textContent = this.t(autoTriggered ? 'submit.sendAgain' : 'submit.trySendingAgain');
+            sendButton.disabled = false;
+            sendButton.classList.remove('hidden');
+        }
+        if (tryAgainButton) {
+            tryAgainButton.disabled = false;
+        }
+    }
+
+    createSubmissionId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        // Version 4 UUID layout, so adapters that need a UUID (xAPI) can use it
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+            const random = Math.floor(Math.random() * 16);
+            return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+        });
+    }
+
+    // Offline queue: scores that could not be sent, kept in localStorage (shared by every quiz on
+    // the site) as { id, url, adapter, payload, queuedAt } until a retry gets through
+    readOutbox() {
+        try {
+            const entries = JSON.parse(localStorage.getItem('tj-quiz-outbox') || '[]');
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            console.warn('Could not read queued scores:', error);
+            return [];
+        }
+    }
+
+    writeOutbox(entries) {
+        try {
+            localStorage.setItem('tj-quiz-outbox', JSON.stringify(entries));
+        } catch (error) {
+            console.warn('Could not save queued scores:', error);
+        }
+        this.updateOutboxStatus();
+    }
+
+    // Each entry keeps the adapter options it was sent with, so a retry from another quiz on the
+    // page goes out the same way. Functions can't be stored; those come from a quiz that posts to
+    // the same place with the same adapter when the entry is retried.
+    queueSubmission(url, payload) {
+        const options = this.submissionOptions || {};
+        const functionKeys = Object.keys(options).filter(key => typeof options[key] === 'function');
+        if (functionKeys.length) {
+            console.warn(`Queued score keeps submissionOptions ${functionKeys.join(', ')} only while a quiz sending to ${url} is on the page.`);
+        }
+        const entries = this.readOutbox().filter(entry => entry.id !== payload.submissionId);
+        entries.push({
+            id: payload.submissionId,
+            url,
+            adapter: this.submissionAdapter,
+            options: JSON.parse(JSON.stringify(options)),
+            payload,
+            queuedAt: Date.now()
+        });
+        this.writeOutbox(entries);
+    }
+
+    queuedSubmissionOptions(entry) {
+        const adapter = entry.adapter || 'apps-script';
+        if (!entry.options) return this.submissionOptions;
+        const options = { ...entry.options };
+        if (entry.url === this.submissionUrl && adapter === this.submissionAdapter) {
+            for (const [key, value] of Object.entries(this.submissionOptions || {})) {
+                if (typeof value === 'function' && !(key in options)) options[key] = value;
             }
+        }
+        return options;
+    }
 
-            if (validationMessage) {
-                const statusText = autoTriggered
-                    ? 'Score automatically submitted to your teacher'
-                    : (data.message || 'Submission successful!');
-                validationMessage.innerHTML = `
-                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>
-                    <span>${statusText}</span>
-                `;
-                validationMessage.className = 'success';
+    removeQueuedSubmission(id) {
+        const entries = this.readOutbox();
+        if (entries.some(entry => entry.id === id)) {
+            this.writeOutbox(entries.filter(entry => entry.id !== id));
+        }
+    }
+
+    async flushOutbox() {
+        const ownEntry = this.readOutbox().find(entry => entry.id === this.queuedSubmissionId);
+        if (!TjQuizElement.outboxFlush) {
+            TjQuizElement.outboxFlush = this.sendQueuedSubmissions()
+                .finally(() => { TjQuizElement.outboxFlush = null; });
+        }
+        const { sent, dropped } = await TjQuizElement.outboxFlush;
+
+        // This attempt's own score went out with the queue, or was given up on
+        const ownId = this.queuedSubmissionId;
+        const ownDrop = dropped.find(drop => drop.id === ownId);
+        if (ownId && sent.includes(ownId)) {
+            this.emit('submission-success', {
+                submissionId: ownId,
+                payload: ownEntry ? ownEntry.payload : null,
+                response: null,
+                queued: true
+            });
+            this.showScoreSent(this.t('submit.sentLater'));
+        } else if (ownDrop) {
+            // Out of the queue for good: sending again from the button is up to the student
+            this.queuedSubmissionId = '';
+            this.emit('submission-error', {
+                submissionId: ownId,
+                payload: ownEntry ? ownEntry.payload : null,
+                error: ownDrop.error,
+                status: ownDrop.status,
+                retryable: false,
+                queued: false
+            });
+            this.showScoreFailed(this.t('submit.failed'));
+        }
+        this.updateOutboxStatus();
+    }
+
+    // Send queued scores oldest first, stopping at the first one that still can't get through.
+    // Scores older than 30 days, or that the server rejects, are dropped. Resolves with the ids
+    // that were delivered and the { id, error, status } of those dropped.
+    async sendQueuedSubmissions() {
+        const maxAge = 30 * 24 * 60 * 60 * 1000;
+        const sent = [];
+        const dropped = [];
+        for (const entry of this.readOutbox()) {
+            if (Date.now() - entry.queuedAt > maxAge) {
+                console.warn('Dropping queued score older than 30 days:', entry.id);
+                this.removeQueuedSubmission(entry.id);
+                dropped.push({ id: entry.id, error: 'Queued for more than 30 days', status: null });
+                continue;
             }
-            if (sendButton) {
-                sendButton.textContent = 'Score Sent';
-                sendButton.disabled = true;
-                sendButton.classList.add('hidden');
+            try {
+                await this.postScore(entry.url, entry.payload, entry.adapter || 'apps-script', this.queuedSubmissionOptions(entry));
+                this.removeQueuedSubmission(entry.id);
+                sent.push(entry.id);
+            } catch (error) {
+                if (error.retryable) {
+                    console.warn('Queued score still not sent:', error);
+                    break;
+                }
+                console.error('Queued score was rejected and dropped:', error);
+                this.removeQueuedSubmission(entry.id);
+                dropped.push({ id: entry.id, error: error.message, status: error.status || null });
             }
-            if (tryAgainButton) {
-                tryAgainButton.disabled = false;
+        }
+        return { sent, dropped };
+    }
+
+    updateOutboxStatus() {
+        const status = this.shadowRoot && this.shadowRoot.getElementById('outboxStatus');
+        if (!status) return;
+        const count = this.readOutbox().length;
+        status.classList.toggle('hidden', count === 0);
+        if (count === 0) return;
+        let form = 'other';
+        try {
+            form = new Intl.PluralRules(this.locale).select(count);
+        } catch (e) {
+            form = count === 1 ? 'one' : 'other';
+        }
+        status.textContent = this.t(form === 'one' ? 'outbox.waitingOne' : 'outbox.waitingOther', { count: this.formatNumber(count) });
+    }
+
+    // Attempts at this version of the quiz by these student details on this device, this one included
+    countAttempt() {
+        const key = `tj-quiz-attempts:${this.ast ? this.ast.sourceHash : ''}:${Object.values(this.getStudentInfo()).join('|')}`;
+        try {
+            const attempt = (parseInt(localStorage.getItem(key)) || 0) + 1;
+            localStorage.setItem(key, String(attempt));
+            return attempt;
+        } catch (error) {
+            console.warn('Could not count attempts:', error);
+            return this.attemptNumber + 1;
+        }
+    }
+
+    // Autosave: the attempt in progress (student, draw, answers, time spent) is kept in localStorage
+    // under the quiz version and the student, so a reload or a killed tab can pick it up again
+    attemptStorageKey() {
+        return `tj-quiz-attempt:${this.ast ? this.ast.sourceHash : ''}:${Object.values(this.getStudentInfo()).join('|')}`;
+    }
+
+    // Answers as they appear in the form. Cloze blanks keep the student's capitalisation.
+    collectAnswers() {
+        const cloze = {};
+        this.shadowRoot.querySelectorAll('.cloze-blank').forEach(blank => {
+            if (blank.value) cloze[`${blank.dataset.sectionId}-${blank.dataset.blankIndex}`] = blank.value;
+        });
+        return JSON.parse(JSON.stringify({
+            vocab: this.vocabUserChoices,
+            cloze,
+            order: this.orderAnswers,
+            questions: this.userQuestionAnswers
+        }));
+    }
+
+    saveAttempt() {
+        if (!this.quizUnlocked || this.results || this.restoring || !this.ast) return;
+        // Without a gate the quiz is open while an earlier attempt is offered under the same key;
+        // saving now would overwrite the attempt the student may still resume
+        if (this.pendingResume) return;
+        const key = this.attemptStorageKey();
+        // The student details changed mid-attempt: the save moves to the new key
+        if (this.attemptSaveKey && this.attemptSaveKey !== key) this.clearSavedAttempt();
+        const save = {
+            savedAt: Date.now(),
+            startedAt: this.attemptStartedAt,
+            elapsed: Math.round((Date.now() - this.attemptStartedAt) / 1000),
+            sectionStarts: this.sectionStarts,
+            student: this.getStudentInfo(),
+            draw: this.draw,
+            answers: this.collectAnswers(),
+            progress: this.getProgress()
+        };
+        try {
+            localStorage.setItem(key, JSON.stringify(save));
+            this.attemptSaveKey = key;
+        } catch (error) {
+            console.warn('Could not save the attempt:', error);
+        }
+    }
+
+    clearSavedAttempt(key = this.attemptSaveKey) {
+        if (!key) return;
+        try {
+            localStorage.removeItem(key);
+        } catch (error) {
+            console.warn('Could not clear the saved attempt:', error);
+        }
+        if (key === this.attemptSaveKey) this.attemptSaveKey = '';
+    }
+
+    // Unfinished attempts at this version of the quiz on this device, newest first. Saves older
+    // than a week are dropped.
+    findSavedAttempts() {
+        const prefix = `tj-quiz-attempt:${this.ast ? this.ast.sourceHash : ''}:`;
+        const maxAge = 7 * 24 * 60 * 60 * 1000;
+        const found = [];
+        try {
+            for (let i = localStorage.length - 1; i >= 0; i--) {
+                const key = localStorage.key(i);
+                if (!key || !key.startsWith(prefix)) continue;
+                let save = null;
+                try {
+                    save = JSON.parse(localStorage.getItem(key));
+                } catch (error) {
+                    save = null;
+                }
+                if (!save || !save.draw || !save.answers || Date.now() - save.savedAt > maxAge) {
+                    localStorage.removeItem(key);
+                    continue;
+                }
+                found.push({ key, save });
             }
-            this.scoreSubmitted = true;
         } catch (error) {
-            console.error('Error:', error);
-            if (validationMessage) {
-                validationMessage.innerHTML = `
-                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"></circle><line x1="12" y1="8" x2="12" y2="12"></line><line x1="12" y1="16" x2="12.01" y2="16"></line></svg>
-                    <span>Could not submit score. Please try again.</span>
-                `;
-                validationMessage.className = 'error';
+            console.warn('Could not read saved attempts:', error);
+        }
+        return found.sort((a, b) => b.save.savedAt - a.save.savedAt);
+    }
+
+    // Show the resume prompt once the student details entered match an unfinished attempt. Only a
+    // student's own save is offered, so on a shared device no one can resume or discard another's.
+    offerResume() {
+        const key = this.attemptStorageKey();
+        const own = this.isStudentInfoComplete() ? this.findSavedAttempts().find(entry => entry.key === key) : null;
+        this.pendingResume = own || null;
+        this.renderResumePrompt();
+    }
+
+    renderResumePrompt() {
+        const prompt = this.shadowRoot && this.shadowRoot.getElementById('resumePrompt');
+        if (!prompt) return;
+        prompt.classList.toggle('hidden', !this.pendingResume);
+        if (!this.pendingResume) return;
+        const { save } = this.pendingResume;
+        const student = Object.values(save.student || {}).filter(Boolean).join(', ');
+        const progress = save.progress || { answered: 0, total: 0 };
+        this.shadowRoot.getElementById('resumeDetails').textContent = this.t('resume.details', {
+            student: student || this.t('resume.someone'),
+            date: this.formatDateTime(new Date(save.savedAt)),
+            answered: this.formatNumber(progress.answered),
+            total: this.formatNumber(progress.total)
+        });
+    }
+
+    // "Start over": forget the offered attempt, which belongs to the student details entered
+    discardResume() {
+        if (this.pendingResume) this.clearSavedAttempt(this.pendingResume.key);
+        this.pendingResume = null;
+        this.renderResumePrompt();
+    }
+
+    // Rebuild the saved attempt with the same draw and layout, then put its answers back.
+    // Returns false (and drops the save) when the save no longer fits the quiz.
+    resumeAttempt(entry = this.pendingResume) {
+        if (!entry) return false;
+        const { key, save } = entry;
+        this.pendingResume = null;
+        this.renderResumePrompt();
+
+        this.restoring = true;
+        this.vocabUserChoices = {};
+        this.clozeAnswers = {};
+        this.replay = [...(save.draw.selection || []), ...(save.draw.quiz || [])];
+        this.replayFailed = false;
+        this.selectSections();
+        this.generateQuiz();
+        const fits = !this.replayFailed && this.replay.length === 0;
+        this.replay = null;
+        if (!fits) {
+            console.warn('The saved attempt does not match this quiz any more; starting fresh.');
+            this.clearSavedAttempt(key);
+            this.selectSections();
+            this.generateQuiz();
+            this.restoring = false;
+            return false;
+        }
+
+        this.unlockQuizContent(save);
+        this.restoreAnswers(save.answers);
+        this.restoring = false;
+        this.attemptSaveKey = key;
+        this.updateCheckScoreButtonState();
+        this.showStudentInfoAlert(this.t('resume.restored'), 'success');
+        return true;
+    }
+
+    // Replay saved answers through the form, so each goes through its normal handler
+    restoreAnswers(answers) {
+        const root = this.shadowRoot;
+        const fire = (target, type) => target.dispatchEvent(new Event(type, { bubbles: true }));
+        // Drag modes: tap the chip, then the slot
+        const placeChip = (slot, chip) => {
+            if (!slot || !chip) return;
+            chip.click();
+            slot.click();
+        };
+
+        Object.entries(answers.vocab || {}).forEach(([key, letter]) => {
+            const split = key.indexOf('-');
+            const sectionId = key.slice(0, split);
+            const word = key.slice(split + 1);
+            const input = Array.from(root.querySelectorAll(`.vocab-matching-input[data-section-id="${sectionId}"]`))
+                .find(candidate => candidate.dataset.word === word);
+            if (!input) return;
+            if (input.classList.contains('vocab-drop-slot')) {
+                const card = input.closest('.section-card');
+                placeChip(input, card && card.querySelector(`.word-chip[data-chip-key="${letter}"]`));
+            } else {
+                input.value = letter;
+                fire(input, 'input');
             }
-            if (sendButton) {
-                sendButton.textContent = autoTriggered ? 'Send Score Again' : 'Try Sending Again';
-                sendButton.disabled = false;
-                sendButton.classList.remove('hidden');
+        });
+
+        Object.entries(answers.cloze || {}).forEach(([key, value]) => {
+            const [sectionId, blankIndex] = key.split('-');
+            const blank = root.querySelector(`.cloze-blank[data-section-id="${sectionId}"][data-blank-index="${blankIndex}"]`);
+            if (!blank) return;
+            if (blank.classList.contains('cloze-drop-slot')) {
+                const card = blank.closest('.section-card');
+                const chip = card && Array.from(card.querySelectorAll('.word-chip:not(.used)'))
+                    .find(candidate => candidate.textContent === value);
+                placeChip(blank, chip);
+            } else {
+                blank.value = value;
+                fire(blank, 'input');
             }
-            if (tryAgainButton) {
-                tryAgainButton.disabled = false;
+        });
+
+        Object.entries(answers.order || {}).forEach(([sectionId, order]) => {
+            const list = root.querySelector(`.order-list[data-section-id="${sectionId}"]`);
+            if (!list) return;
+            order.forEach(itemIndex => {
+                const item = list.querySelector(`.order-item[data-item-index="${itemIndex}"]`);
+                if (item) list.appendChild(item);
+            });
+            this.handleOrderChange(list);
+        });
+
+        Object.entries(answers.questions || {}).forEach(([index, answer]) => {
+            const inputs = Array.from(root.querySelectorAll(`[name="q${index}"]`));
+            const typed = inputs.find(input => input.classList.contains('typed-answer-input'));
+            if (typed) {
+                typed.value = answer;
+                fire(typed, 'input');
+                return;
             }
-        } finally {
-            this.autoSubmissionInProgress = false;
+            const chosen = Array.isArray(answer) ? answer : [answer];
+            inputs.filter(input => chosen.includes(input.value)).forEach(input => {
+                input.checked = true;
+                fire(input, 'change');
+            });
+        });
+    }
+
+    // Extra payload fields for `submission-detail="items"`: subtotals, one record per item,
+    // time spent, attempt number and which version of the quiz was taken
+    getDetailedResults() {
+        const round = value => Math.round(value * 100) / 100;
+        const sections = {};
+        if (this.vocabularySections.length > 0) {
+            sections.vocab = { score: this.vocabScore, total: this.getTotalVocabWords() };
+        }
+        if (this.clozeSections.length > 0) {
+            sections.cloze = { score: this.clozeScore, total: this.clozeSections.reduce((total, section) => total + section.words.length, 0) };
         }
+        if (this.orderSections.length > 0) {
+            sections.order = { score: this.orderScore, total: this.getTotalOrderPoints() };
+        }
+        if (this.totalQuestions > 0) {
+            sections.questions = { score: round(this.score), total: this.totalQuestions };
+        }
+        const items = [
+            ...this.itemResults.vocab,
+            ...this.itemResults.cloze,
+            ...this.itemResults.order,
+            ...this.itemResults.questions
+        ].map(item => ({ ...item, points: round(item.points) }));
+        return {
+            sections,
+            items,
+            timeSpent: this.attemptSeconds,
+            attempt: this.attemptNumber,
+            quizVersion: this.ast ? this.ast.sourceHash : ''
+        };
     }
 
     resetQuiz() {
@@ -1885,10 +4158,16 @@ class TjQuizElement extends HTMLElement {
         this.clozeAnswers = {};
         this.clozeScore = 0;
         this.clozeSubmitted = false;
+        this.orderAnswers = {};
+        this.orderScore = 0;
+        this.orderSubmitted = false;
+        this.itemResults = { vocab: [], cloze: [], order: [], questions: [] };
+        this.results = null;
+        this.timedOut = false;
         this.scoreSubmitted = false;
         this.autoSubmissionInProgress = false;
 
-        const allRadios = Array.from(this.shadowRoot.querySelectorAll('input[type="radio"]'));
+        const allRadios = Array.from(this.shadowRoot.querySelectorAll('input[type="radio"], input[type="checkbox"]'));
         allRadios.forEach(radio => {
             radio.disabled = false;
             try { delete radio.dataset.answered; } catch (e) { }
@@ -1907,7 +4186,7 @@ class TjQuizElement extends HTMLElement {
 
         if (sendButton) {
             sendButton.disabled = false;
-            sendButton.textContent = 'Resend Score to Teacher';
+            sendButton.textContent = this.t('submit.resend');
             sendButton.classList.add('hidden');
         }
         if (tryAgainButton) {
@@ -1915,12 +4194,16 @@ class TjQuizElement extends HTMLElement {
         }
 
         this.stopAllAudio();
+        this.stopTimers();
+        // A new attempt draws its `-N` vocabulary words and cloze blanks afresh
+        this.selectSections();
         this.generateQuiz();
 
         const checkBtn = this.shadowRoot.getElementById('checkScoreButton');
         if (checkBtn) {
             checkBtn.disabled = true;
         }
+        this.emitReady('reset');
         this.lockQuizContent();
     }
 